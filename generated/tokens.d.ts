@@ -0,0 +1,244 @@
+/* tokens.d.ts — Generated from tokens/*.json */
+/* Do not edit manually. Run: node scripts/generate.js */
+/* Generated: 2026-10-19 */
+
+export declare const shared: {
+  // colors
+  readonly "color-modeless-white": string;
+  readonly "color-modeless-white-24": string;
+  readonly "color-modeless-black": string;
+  readonly "color-modeless-black-24": string;
+  readonly "color-modeless-overlay": string;
+  readonly "color-modeless-teal": string;
+  readonly "color-modeless-destructive": string;
+
+  // sizing
+  readonly "size-0": string;
+  readonly "size-05": string;
+  readonly "size-10": string;
+  readonly "size-15": string;
+  readonly "size-20": string;
+  readonly "size-30": string;
+  readonly "size-40": string;
+  readonly "size-50": string;
+  readonly "size-60": string;
+  readonly "size-70": string;
+  readonly "size-80": string;
+  readonly "size-100": string;
+  readonly "size-120": string;
+  readonly "size-140": string;
+  readonly "size-160": string;
+  readonly "size-180": string;
+  readonly "size-200": string;
+  readonly "space-0": string;
+  readonly "space-05": string;
+  readonly "space-10": string;
+  readonly "space-15": string;
+  readonly "space-20": string;
+  readonly "space-30": string;
+  readonly "space-40": string;
+  readonly "space-60": string;
+  readonly "space-80": string;
+  readonly "space-100": string;
+
+  // typography
+  readonly "font-family-primary": string;
+  readonly "font-weight-regular": string;
+  readonly "font-weight-medium": string;
+  readonly "font-weight-semibold": string;
+  readonly "font-weight-bold": string;
+  readonly "font-size-heading-large": string;
+  readonly "line-height-heading-large": string;
+  readonly "font-weight-heading-large": string;
+  readonly "font-heading-large": string;
+  readonly "font-size-heading-medium": string;
+  readonly "line-height-heading-medium": string;
+  readonly "font-weight-heading-medium": string;
+  readonly "font-heading-medium": string;
+  readonly "font-size-heading-small": string;
+  readonly "line-height-heading-small": string;
+  readonly "font-weight-heading-small": string;
+  readonly "font-heading-small": string;
+  readonly "font-size-body-large": string;
+  readonly "line-height-body-large": string;
+  readonly "font-weight-body-large": string;
+  readonly "font-body-large": string;
+  readonly "font-size-body-medium": string;
+  readonly "line-height-body-medium": string;
+  readonly "font-weight-body-medium": string;
+  readonly "font-body-medium": string;
+  readonly "font-size-body-small": string;
+  readonly "line-height-body-small": string;
+  readonly "font-weight-body-small": string;
+  readonly "font-body-small": string;
+  readonly "font-size-button-default": string;
+  readonly "line-height-button-default": string;
+  readonly "font-weight-button-default": string;
+  readonly "font-button-default": string;
+
+  // radii
+  readonly "radius-0": string;
+  readonly "radius-05": string;
+  readonly "radius-10": string;
+  readonly "radius-15": string;
+  readonly "radius-20": string;
+  readonly "radius-25": string;
+  readonly "radius-30": string;
+  readonly "radius-35": string;
+  readonly "radius-40": string;
+  readonly "radius-45": string;
+  readonly "radius-50": string;
+  readonly "radius-60": string;
+  readonly "radius-70": string;
+  readonly "radius-80": string;
+  readonly "radius-90": string;
+  readonly "radius-100": string;
+  readonly "radius-9999": string;
+
+  // shadows
+  readonly "blur-small": string;
+  readonly "blur-medium": string;
+  readonly "blur-large": string;
+
+  // borders
+  readonly "border-width-none": string;
+  readonly "border-width-thin": string;
+  readonly "border-width-medium": string;
+  readonly "border-style-solid": string;
+
+  // opacity
+  readonly "opacity-0": string;
+  readonly "opacity-4": string;
+  readonly "opacity-8": string;
+  readonly "opacity-16": string;
+  readonly "opacity-24": string;
+  readonly "opacity-48": string;
+  readonly "opacity-50": string;
+  readonly "opacity-72": string;
+  readonly "opacity-100": string;
+
+  // z-index
+  readonly "z-base": string;
+  readonly "z-dropdown": string;
+  readonly "z-sticky": string;
+  readonly "z-modal-backdrop": string;
+  readonly "z-modal": string;
+  readonly "z-tooltip": string;
+
+  // transitions
+  readonly "duration-fast": string;
+  readonly "duration-normal": string;
+  readonly "duration-slow": string;
+  readonly "easing-default": string;
+  readonly "easing-in": string;
+  readonly "easing-in-out": string;
+};
+
+export declare const dark: {
+  // colors
+  readonly "color-background-primary": string;
+  readonly "color-background-secondary": string;
+  readonly "color-background-tertiary": string;
+  readonly "color-content-primary": string;
+  readonly "color-content-secondary": string;
+  readonly "color-content-tertiary": string;
+  readonly "color-highlight-primary": string;
+  readonly "color-highlight-secondary": string;
+  readonly "color-accent-teal": string;
+  readonly "color-accent-destructive": string;
+  readonly "color-shadow-small": string;
+  readonly "color-shadow-medium": string;
+  readonly "color-shadow-large": string;
+
+  // tonal scales
+  readonly "color-teal-50": string;
+  readonly "color-teal-100": string;
+  readonly "color-teal-200": string;
+  readonly "color-teal-300": string;
+  readonly "color-teal-400": string;
+  readonly "color-teal-500": string;
+  readonly "color-teal-600": string;
+  readonly "color-teal-700": string;
+  readonly "color-teal-800": string;
+  readonly "color-teal-900": string;
+  readonly "color-accent-teal-hover": string;
+  readonly "color-accent-teal-active": string;
+  readonly "color-destructive-50": string;
+  readonly "color-destructive-100": string;
+  readonly "color-destructive-200": string;
+  readonly "color-destructive-300": string;
+  readonly "color-destructive-400": string;
+  readonly "color-destructive-500": string;
+  readonly "color-destructive-600": string;
+  readonly "color-destructive-700": string;
+  readonly "color-destructive-800": string;
+  readonly "color-destructive-900": string;
+  readonly "color-accent-destructive-hover": string;
+  readonly "color-accent-destructive-active": string;
+
+  // shadows
+  readonly "shadow-small": string;
+  readonly "shadow-medium": string;
+  readonly "shadow-large": string;
+};
+
+export declare const light: {
+  // colors
+  readonly "color-background-primary": string;
+  readonly "color-background-secondary": string;
+  readonly "color-background-tertiary": string;
+  readonly "color-content-primary": string;
+  readonly "color-content-secondary": string;
+  readonly "color-content-tertiary": string;
+  readonly "color-highlight-primary": string;
+  readonly "color-highlight-secondary": string;
+  readonly "color-accent-teal": string;
+  readonly "color-accent-destructive": string;
+  readonly "color-shadow-small": string;
+  readonly "color-shadow-medium": string;
+  readonly "color-shadow-large": string;
+
+  // tonal scales
+  readonly "color-teal-50": string;
+  readonly "color-teal-100": string;
+  readonly "color-teal-200": string;
+  readonly "color-teal-300": string;
+  readonly "color-teal-400": string;
+  readonly "color-teal-500": string;
+  readonly "color-teal-600": string;
+  readonly "color-teal-700": string;
+  readonly "color-teal-800": string;
+  readonly "color-teal-900": string;
+  readonly "color-accent-teal-hover": string;
+  readonly "color-accent-teal-active": string;
+  readonly "color-destructive-50": string;
+  readonly "color-destructive-100": string;
+  readonly "color-destructive-200": string;
+  readonly "color-destructive-300": string;
+  readonly "color-destructive-400": string;
+  readonly "color-destructive-500": string;
+  readonly "color-destructive-600": string;
+  readonly "color-destructive-700": string;
+  readonly "color-destructive-800": string;
+  readonly "color-destructive-900": string;
+  readonly "color-accent-destructive-hover": string;
+  readonly "color-accent-destructive-active": string;
+
+  // shadows
+  readonly "shadow-small": string;
+  readonly "shadow-medium": string;
+  readonly "shadow-large": string;
+};
+
+export type ThemeName = 'dark' | 'light';
+export type SharedTokenName = keyof typeof shared;
+export type ThemedTokenName = keyof typeof dark;
+export type TokenName = SharedTokenName | ThemedTokenName;
+
+export declare const tokens: {
+  readonly shared: typeof shared;
+  readonly dark: typeof dark;
+  readonly light: typeof light;
+};
+
+export default tokens;
@@ -0,0 +1,4414 @@
+/**
+ * Airtime Design System — Token Compiler
+ * Programmatic API behind scripts/generate.js. Loads legacy, DTCG or
+ * three-tier token sources and builds tokens.css plus every other output
+ * target in memory, so build tooling can compile tokens in-process.
+ *
+ *   const { loadTokens, buildCss, buildOutputs, writeOutputs } = require('./scripts/compiler');
+ *
+ *   const tokens = loadTokens({ dir: 'tokens' });          // { format, results, tiers, warnings }
+ *   const css = buildCss(tokens, { oklch: true, modernCss: true });
+ *   const files = buildOutputs(tokens, [{ target: 'css' }, { target: 'scss', path: 'dist/_tokens.scss' }]);
+ *   writeOutputs(files);                                     // → written paths
+ *
+ * Nothing here reads process.argv or prints; warnings (e.g. unresolved
+ * references) are returned on the loaded tokens. Errors are thrown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Standalone defaults: paths relative to project root
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_TOKENS_DIR = path.join(PROJECT_ROOT, 'tokens');
+const DEFAULT_OUT_DIR = path.join(PROJECT_ROOT, 'generated');
+const DEFAULT_COMPONENTS_DIR = path.join(PROJECT_ROOT, 'components');
+const DEFAULT_RULES_FILE = '.design-rules.json';
+const DEFAULT_CONFIG_FILE = 'airtime.config.json';
+const FORMATS = ['legacy', 'dtcg', 'three-tier'];
+
+// Loaders and generators take a token source: { dir, warn, deprecated, modes }.
+// warn(warning) records a { code, message } warning on the tokens returned by
+// loadTokens(); loaders add deprecation markers to the deprecated Map and
+// theme mode declarations to the modes Map.
+
+// --- Format detection ---
+
+function detectFormat(dir) {
+  // Three-tier: if primitives/ subdirectory exists with .tokens.json files, use three-tier pipeline
+  const primitivesDir = path.join(dir, 'primitives');
+  if (fs.existsSync(primitivesDir) && fs.statSync(primitivesDir).isDirectory()) {
+    const primFiles = fs.readdirSync(primitivesDir).filter(f => f.endsWith('.tokens.json'));
+    if (primFiles.length > 0) return 'three-tier';
+  }
+  // Flat DTCG: if any *.tokens.json files exist at top level
+  const files = fs.readdirSync(dir);
+  const dtcgFiles = files.filter(f => f.endsWith('.tokens.json'));
+  return dtcgFiles.length > 0 ? 'dtcg' : 'legacy';
+}
+
+/**
+ * Throw when dir lacks the files a format reads — typically a --format or
+ * config "format" that doesn't match the directory. categories are the
+ * category names whose <name>.json (legacy) or <name>.tokens.json (dtcg)
+ * files are read; three-tier needs primitives/*.tokens.json. The error has
+ * code 'ETOKENSOURCE'.
+ */
+function checkFormatSources(dir, format, categories) {
+  let missing;
+  if (format === 'three-tier') {
+    const primitivesDir = path.join(dir, 'primitives');
+    const found = fs.existsSync(primitivesDir) && fs.readdirSync(primitivesDir).some(f => f.endsWith('.tokens.json'));
+    missing = found ? [] : ['primitives/*.tokens.json'];
+  } else {
+    const ext = format === 'dtcg' ? '.tokens.json' : '.json';
+    missing = categories.map(name => name + ext).filter(file => !fs.existsSync(path.join(dir, file)));
+  }
+  if (missing.length === 0) return;
+
+  const detected = detectFormat(dir);
+  const hint = detected !== format ? ` (the directory looks like ${detected} format)` : '';
+  const err = new Error(`${format} tokens need ${missing.join(', ')} in ${dir}${hint}`);
+  err.code = 'ETOKENSOURCE';
+  throw err;
+}
+
+/**
+ * Read and parse a token JSON file. Parse errors are rethrown with the file
+ * path (relative to the tokens dir) and line/column so they can be reported
+ * without a stack trace.
+ */
+function readTokenFile(source, filepath) {
+  const text = fs.readFileSync(filepath, 'utf8');
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    const label = path.relative(source.dir, filepath);
+    const pos = err.message.match(/position (\d+)/);
+    let where = '';
+    if (pos) {
+      const before = text.slice(0, Number(pos[1])).split('\n');
+      where = `:${before.length}:${before[before.length - 1].length + 1}`;
+    }
+    const parseError = new Error(`${label}${where}: ${err.message}`);
+    parseError.code = 'ETOKENPARSE';
+    throw parseError;
+  }
+}
+
+// ============================================================
+// OKLCH COLOR SPACE CONVERSION
+// ============================================================
+// Conversion path: sRGB hex → linear RGB → CIE XYZ (D65) → OKLab → OKLCH
+// Reference: Björn Ottosson, "A perceptual color space for image processing"
+// https://bottosson.github.io/posts/oklab/
+// Display-P3 shares the sRGB transfer function and D65 white point, with its
+// own linear RGB ↔ XYZ matrices (CSS Color 4, section 10).
+
+/**
+ * Detect whether a CSS color value is already in oklch() syntax.
+ */
+function isOklchValue(value) {
+  return typeof value === 'string' && /^\s*oklch\s*\(/.test(value);
+}
+
+/**
+ * Detect whether a CSS color value is in color(display-p3 r g b) syntax.
+ */
+function isDisplayP3Value(value) {
+  return typeof value === 'string' && /^\s*color\(\s*display-p3\s/.test(value);
+}
+
+/**
+ * Parse a hex color string into [r, g, b, a] with 0-255 integer components.
+ * Supports #RGB, #RGBA, #RRGGBB, #RRGGBBAA.
+ * Returns null if not a valid hex color.
+ */
+function parseHex(hex) {
+  if (typeof hex !== 'string') return null;
+  hex = hex.trim();
+  if (!hex.startsWith('#')) return null;
+  const h = hex.slice(1);
+  let r, g, b, a = 255;
+  if (h.length === 3) {
+    r = parseInt(h[0] + h[0], 16);
+    g = parseInt(h[1] + h[1], 16);
+    b = parseInt(h[2] + h[2], 16);
+  } else if (h.length === 4) {
+    r = parseInt(h[0] + h[0], 16);
+    g = parseInt(h[1] + h[1], 16);
+    b = parseInt(h[2] + h[2], 16);
+    a = parseInt(h[3] + h[3], 16);
+  } else if (h.length === 6) {
+    r = parseInt(h.slice(0, 2), 16);
+    g = parseInt(h.slice(2, 4), 16);
+    b = parseInt(h.slice(4, 6), 16);
+  } else if (h.length === 8) {
+    r = parseInt(h.slice(0, 2), 16);
+    g = parseInt(h.slice(2, 4), 16);
+    b = parseInt(h.slice(4, 6), 16);
+    a = parseInt(h.slice(6, 8), 16);
+  } else {
+    return null;
+  }
+  if (isNaN(r) || isNaN(g) || isNaN(b) || isNaN(a)) return null;
+  return [r, g, b, a];
+}
+
+/**
+ * sRGB component (0-1) to linear RGB. Inverse of the sRGB companding function.
+ */
+function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert linear RGB [0-1] to CIE XYZ (D65 illuminant).
+ * Matrix from IEC 61966-2-1 (sRGB spec).
+ */
+function linearRGBToXYZ(lr, lg, lb) {
+  const x = 0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb;
+  const y = 0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb;
+  const z = 0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb;
+  return [x, y, z];
+}
+
+/**
+ * Convert CIE XYZ to OKLab using the Ottosson matrices.
+ * Two-step: XYZ → LMS (cone response) → OKLab (perceptual).
+ */
+function xyzToOKLab(x, y, z) {
+  // XYZ to LMS (using the M1 matrix from Ottosson)
+  let l = 0.8189330101 * x + 0.3618667424 * y - 0.1288597137 * z;
+  let m = 0.0329845436 * x + 0.9293118715 * y + 0.0361456387 * z;
+  let s = 0.0482003018 * x + 0.2643662691 * y + 0.6338517070 * z;
+
+  // Cube root (LMS → LMS')
+  l = Math.cbrt(l);
+  m = Math.cbrt(m);
+  s = Math.cbrt(s);
+
+  // LMS' to OKLab (using the M2 matrix from Ottosson)
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const b = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+  return [L, a, b];
+}
+
+/**
+ * Convert OKLab [L, a, b] to OKLCH [L, C, H].
+ * L = lightness (0-1), C = chroma (0+), H = hue in degrees (0-360).
+ */
+function oklabToOKLCH(L, a, b) {
+  const C = Math.sqrt(a * a + b * b);
+  let H = Math.atan2(b, a) * (180 / Math.PI);
+  if (H < 0) H += 360;
+  return [L, C, H];
+}
+
+/**
+ * Convert a hex color to [L, a, b, alpha] in OKLab (L 0-1, alpha 0-1).
+ * Returns null if not a valid hex color.
+ */
+function hexToOklab(hex) {
+  const parsed = parseHex(hex);
+  if (!parsed) return null;
+  const [r8, g8, b8, a8] = parsed;
+
+  // Normalize to 0-1
+  const r = r8 / 255;
+  const g = g8 / 255;
+  const b = b8 / 255;
+
+  // sRGB → linear RGB
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  // Linear RGB → XYZ (D65)
+  const [x, y, z] = linearRGBToXYZ(lr, lg, lb);
+
+  // XYZ → OKLab
+  const [L, a, bLab] = xyzToOKLab(x, y, z);
+  return [L, a, bLab, a8 / 255];
+}
+
+/**
+ * Convert a hex color to an OKLCH CSS string.
+ * Returns e.g. "oklch(54.5% 0.12 264.1)" or "oklch(54.5% 0.12 264.1 / 0.72)" for alpha.
+ * Returns null if the hex cannot be parsed.
+ */
+function hexToOklch(hex) {
+  const lab = hexToOklab(hex);
+  if (!lab) return null;
+  return formatOklch(lab);
+}
+
+/**
+ * Format OKLab [L, a, b, alpha] as an oklch() CSS string.
+ */
+function formatOklch([L, a, bLab, alpha]) {
+  // OKLab → OKLCH
+  const [Lch, C, H] = oklabToOKLCH(L, a, bLab);
+
+  // Format: oklch(L% C H) — L as percentage, C to 4 decimal places, H to 1 decimal
+  // For achromatic colors (C ≈ 0), omit hue — spec allows "none"
+  const Lpct = round(Lch * 100, 2);
+  const Cround = round(C, 4);
+  const Hround = round(H, 1);
+
+  // Use "none" for hue and zero chroma when achromatic (chroma effectively 0)
+  const isAchromatic = Cround < 0.0005;
+  const chromaStr = isAchromatic ? '0' : String(Cround);
+  const hueStr = isAchromatic ? 'none' : String(Hround);
+
+  if (alpha < 1) {
+    const alphaRound = round(alpha, 2);
+    return `oklch(${Lpct}% ${chromaStr} ${hueStr} / ${alphaRound})`;
+  }
+  return `oklch(${Lpct}% ${chromaStr} ${hueStr})`;
+}
+
+/**
+ * Round a number to n decimal places, stripping trailing zeros.
+ */
+function round(num, places) {
+  const factor = Math.pow(10, places);
+  return Math.round(num * factor) / factor;
+}
+
+/**
+ * Convert a color value to OKLCH if possible.
+ * - If already oklch(), return as-is.
+ * - If hex or color(display-p3), convert via the full pipeline.
+ * - Otherwise return null (unconvertible).
+ */
+function toOklch(value) {
+  if (isOklchValue(value)) return value.trim();
+  if (isDisplayP3Value(value)) {
+    const lab = toOklab(value);
+    return lab && formatOklch(lab);
+  }
+  return hexToOklch(value);
+}
+
+/**
+ * OKLab coordinates [L, a, b, alpha] for a hex, oklch() or
+ * color(display-p3) color, or null.
+ */
+function toOklab(value) {
+  if (isDisplayP3Value(value)) return displayP3ToOklab(value);
+  if (!isOklchValue(value)) return hexToOklab(value);
+  const match = value.match(/oklch\(\s*([\d.]+)(%?)\s+([\d.]+)\s+([\d.]+|none)\s*(?:\/\s*([\d.]+)(%?))?\s*\)/);
+  if (!match) return null;
+  const L = Number(match[1]) / (match[2] ? 100 : 1);
+  const C = Number(match[3]);
+  const H = match[4] === 'none' ? 0 : Number(match[4]) * (Math.PI / 180);
+  const alpha = match[5] === undefined ? 1 : Number(match[5]) / (match[6] ? 100 : 1);
+  return [L, C * Math.cos(H), C * Math.sin(H), alpha];
+}
+
+/**
+ * Perceptual color difference ΔE (Euclidean distance in OKLab, scaled ×100
+ * so 1 is roughly a just-noticeable difference). Alpha is not included.
+ * Returns null unless both values are colors.
+ */
+function deltaE(valueA, valueB) {
+  const a = toOklab(valueA);
+  const b = toOklab(valueB);
+  if (!a || !b) return null;
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]) * 100;
+}
+
+// --- Inverse conversion: OKLCH → OKLab → CIE XYZ (D65) → linear RGB → sRGB hex ---
+
+/**
+ * Linear RGB component to sRGB (0-1). Inverse of srgbToLinear().
+ * Display-P3 uses the same transfer function.
+ */
+function linearToSrgb(c) {
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+/**
+ * Convert OKLab to CIE XYZ (D65). Inverse of xyzToOKLab().
+ */
+function oklabToXYZ(L, a, b) {
+  // OKLab to LMS' (inverse M2), then undo the cube root
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  // LMS to XYZ (inverse M1)
+  return [
+    1.2270138511 * l - 0.5577999807 * m + 0.2812561490 * s,
+    -0.0405801784 * l + 1.1122568696 * m - 0.0716766787 * s,
+    -0.0763812845 * l - 0.4214819784 * m + 1.5861632204 * s
+  ];
+}
+
+/**
+ * Convert CIE XYZ to linear sRGB (unclamped; out-of-gamut colors fall
+ * outside 0-1). Inverse of linearRGBToXYZ().
+ */
+function xyzToLinearRGB(x, y, z) {
+  return [
+    3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+    0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+  ];
+}
+
+/**
+ * Linear Display-P3 [0-1] to CIE XYZ (D65), and back.
+ */
+function linearP3ToXYZ(r, g, b) {
+  return [
+    0.4865709486 * r + 0.2656676932 * g + 0.1982172852 * b,
+    0.2289745641 * r + 0.6917385218 * g + 0.0792869141 * b,
+    0.0451133819 * g + 1.0439443689 * b
+  ];
+}
+
+function xyzToLinearP3(x, y, z) {
+  return [
+    2.4934969119 * x - 0.9313836179 * y - 0.4027107845 * z,
+    -0.8294889696 * x + 1.7626640603 * y + 0.0236246858 * z,
+    0.0358458302 * x - 0.0761723893 * y + 0.9568845240 * z
+  ];
+}
+
+// RGB spaces for gamut mapping: OKLab → gamma-encoded RGB (0-1) and back
+const SRGB_SPACE = {
+  fromOklab: (L, a, b) => xyzToLinearRGB(...oklabToXYZ(L, a, b)).map(linearToSrgb),
+  toOklab: (rgb) => xyzToOKLab(...linearRGBToXYZ(...rgb.map(srgbToLinear)))
+};
+const DISPLAY_P3_SPACE = {
+  fromOklab: (L, a, b) => xyzToLinearP3(...oklabToXYZ(L, a, b)).map(linearToSrgb),
+  toOklab: (rgb) => xyzToOKLab(...linearP3ToXYZ(...rgb.map(srgbToLinear)))
+};
+
+/**
+ * OKLab [L, a, b, alpha] for a color(display-p3 r g b [/ alpha]) string, or null.
+ * Channels are 0-1 numbers or percentages.
+ */
+function displayP3ToOklab(value) {
+  const num = '(-?[\\d.]+)(%?)';
+  const match = value.match(new RegExp(`color\\(\\s*display-p3\\s+${num}\\s+${num}\\s+${num}\\s*(?:\\/\\s*${num})?\\s*\\)`));
+  if (!match) return null;
+  const channel = (i) => Number(match[i]) / (match[i + 1] ? 100 : 1);
+  const alpha = match[7] === undefined ? 1 : channel(7);
+  return [...DISPLAY_P3_SPACE.toOklab([channel(1), channel(3), channel(5)]), alpha];
+}
+
+function oklchToOklab(L, C, H) {
+  const h = H * (Math.PI / 180);
+  return [L, C * Math.cos(h), C * Math.sin(h)];
+}
+
+function inGamut(rgb, epsilon = 0.000001) {
+  return rgb.every(c => c >= -epsilon && c <= 1 + epsilon);
+}
+
+/**
+ * Whether an OKLab color is inside the sRGB gamut.
+ */
+function inSrgbGamut(L, a, b) {
+  return inGamut(SRGB_SPACE.fromOklab(L, a, b));
+}
+
+/**
+ * Map an OKLCH color into an RGB gamut (default sRGB) with the CSS Color 4
+ * algorithm: keep lightness and hue, binary-search the chroma, and accept a
+ * clipped color once it is within a just-noticeable difference (ΔEOK 0.02)
+ * of the reduced-chroma color. Returns RGB [0-1] in that space.
+ */
+function gamutMapOklch(L, C, H, space = SRGB_SPACE) {
+  const JND = 0.02;
+  const EPSILON = 0.0001;
+  const clip = (rgb) => rgb.map(c => Math.min(1, Math.max(0, c)));
+
+  if (L >= 1) return [1, 1, 1];
+  if (L <= 0) return [0, 0, 0];
+
+  let current = space.fromOklab(...oklchToOklab(L, C, H));
+  if (inGamut(current)) return current;
+
+  let clipped = clip(current);
+  let min = 0;
+  let max = C;
+  let minInGamut = true;
+  while (max - min > EPSILON) {
+    const chroma = (min + max) / 2;
+    const [, a, b] = oklchToOklab(L, chroma, H);
+    current = space.fromOklab(L, a, b);
+    if (minInGamut && inGamut(current)) {
+      min = chroma;
+      continue;
+    }
+    clipped = clip(current);
+    const [cL, ca, cb] = space.toOklab(clipped);
+    const E = Math.hypot(cL - L, ca - a, cb - b);
+    if (E < JND) {
+      if (JND - E < EPSILON) return clipped;
+      minInGamut = false;
+      min = chroma;
+    } else {
+      max = chroma;
+    }
+  }
+  return clipped;
+}
+
+/**
+ * Convert OKLCH (L 0-1, C, H degrees) to an uppercase #RRGGBB hex (or
+ * #RRGGBBAA when alpha < 1), gamut-mapped into sRGB (see gamutMapOklch()).
+ */
+function oklchToHex(L, C, H, alpha = 1) {
+  const toByte = (c) => Math.round(Math.min(1, Math.max(0, c)) * 255).toString(16).padStart(2, '0');
+  const channels = gamutMapOklch(L, C, H).map(toByte).join('');
+  return ('#' + channels + (alpha < 1 ? toByte(alpha) : '')).toUpperCase();
+}
+
+/**
+ * Convert OKLCH to a color(display-p3 …) CSS string, gamut-mapped into P3.
+ */
+function oklchToDisplayP3(L, C, H, alpha = 1) {
+  const channels = gamutMapOklch(L, C, H, DISPLAY_P3_SPACE).map(c => round(Math.min(1, Math.max(0, c)), 4));
+  return `color(display-p3 ${channels.join(' ')}${alpha < 1 ? ` / ${round(alpha, 2)}` : ''})`;
+}
+
+/**
+ * WCAG 2.x relative luminance of an opaque [r, g, b] (0-255).
+ */
+function relativeLuminance([r, g, b]) {
+  const [lr, lg, lb] = [r, g, b].map(c => srgbToLinear(c / 255));
+  return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+}
+
+/**
+ * Composite a (possibly translucent) [r, g, b, a] over an opaque backdrop,
+ * blending in sRGB like browsers do.
+ */
+function compositeOver([r, g, b, a], [br, bg, bb]) {
+  const alpha = a / 255;
+  return [r * alpha + br * (1 - alpha), g * alpha + bg * (1 - alpha), b * alpha + bb * (1 - alpha)];
+}
+
+/**
+ * Opaque [fgRGB, bgRGB] as seen on screen: the background composited over
+ * `backdrop`, the foreground over the result. Null unless all are hex colors.
+ */
+function compositePair(foreground, background, backdrop = '#FFFFFF') {
+  const fg = parseHex(foreground);
+  const bg = parseHex(background);
+  const base = parseHex(backdrop);
+  if (!fg || !bg || !base) return null;
+  const bgRGB = compositeOver(bg, base);
+  return [compositeOver(fg, bgRGB), bgRGB];
+}
+
+/**
+ * WCAG 2.x contrast ratio (1-21) of a foreground on a background color.
+ * Translucent colors are composited first (see compositePair()).
+ */
+function contrastRatio(foreground, background, backdrop) {
+  const pair = compositePair(foreground, background, backdrop);
+  if (!pair) return null;
+  const l1 = relativeLuminance(pair[0]);
+  const l2 = relativeLuminance(pair[1]);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * APCA lightness contrast Lc (APCA-W3 0.0.98G-4g): about -108 to 106,
+ * positive for dark text on light backgrounds, negative for light on dark.
+ * Translucent colors are composited first (see compositePair()).
+ */
+function apcaContrast(foreground, background, backdrop) {
+  const pair = compositePair(foreground, background, backdrop);
+  if (!pair) return null;
+  const screenY = ([r, g, b]) => {
+    const y = 0.2126729 * Math.pow(r / 255, 2.4) + 0.7151522 * Math.pow(g / 255, 2.4) + 0.0721750 * Math.pow(b / 255, 2.4);
+    return y < 0.022 ? y + Math.pow(0.022 - y, 1.414) : y; // soft clamp near black
+  };
+  const text = screenY(pair[0]);
+  const bg = screenY(pair[1]);
+  if (Math.abs(bg - text) < 0.0005) return 0;
+
+  if (bg > text) {
+    const sapc = (Math.pow(bg, 0.56) - Math.pow(text, 0.57)) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  const sapc = (Math.pow(bg, 0.65) - Math.pow(text, 0.62)) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+/**
+ * Check if a CSS value is a color (hex, oklch or display-p3). Used to decide
+ * whether to generate OKLCH variants for a given variable.
+ */
+function isColorValue(value) {
+  if (typeof value !== 'string') return false;
+  return /^#([0-9a-fA-F]{3,8})$/.test(value.trim()) || isOklchValue(value) || isDisplayP3Value(value);
+}
+
+// ============================================================
+// LEGACY FORMAT PIPELINE (original)
+// ============================================================
+
+function loadJSON(source, filename) {
+  const filepath = path.join(source.dir, filename);
+  const raw = readTokenFile(source, filepath);
+  const { _meta, ...data } = raw;
+  for (const [name, marker] of Object.entries((_meta && _meta.deprecated) || {})) {
+    recordDeprecation(source, name, marker);
+  }
+  recordModes(source, _meta && _meta.modes);
+  return { data, meta: _meta };
+}
+
+function cssVar(name, value) {
+  return `  --${name}: ${value};`;
+}
+
+/**
+ * Inverse of cssVar(): extract { name, value } from a "  --name: value;" line.
+ * Returns null for comment and blank lines.
+ */
+function parseCssVarLine(line) {
+  const match = line.match(/^\s*--([^:]+):\s*(.+);$/);
+  if (!match) return null;
+  return { name: match[1], value: match[2] };
+}
+
+// Zero keeps its unit so legacy output matches the DTCG "0px" dimensions
+function pxVal(n) {
+  return `${n}px`;
+}
+
+function generateColors(source) {
+  const { data, meta } = loadJSON(source, 'colors.json');
+  const root = [];
+  const light = [];
+  const dark = [];
+  const modes = {};
+  // OKLCH color entries: { propName, hex, oklch, bucket } for each convertible color
+  const oklchColors = [];
+
+  for (const [key, value] of Object.entries(data.dark || {})) {
+    const propName = `color-${key}`;
+    dark.push(cssVar(propName, value));
+    if (isColorValue(value)) {
+      const oklch = toOklch(value);
+      if (oklch) oklchColors.push({ propName, hex: value, oklch, bucket: 'dark' });
+    }
+  }
+  for (const [key, value] of Object.entries(data.light || {})) {
+    const propName = `color-${key}`;
+    light.push(cssVar(propName, value));
+    if (isColorValue(value)) {
+      const oklch = toOklch(value);
+      if (oklch) oklchColors.push({ propName, hex: value, oklch, bucket: 'light' });
+    }
+  }
+  for (const [key, value] of Object.entries(data.shared || {})) {
+    const propName = `color-${key}`;
+    root.push(cssVar(propName, value));
+    if (isColorValue(value)) {
+      const oklch = toOklch(value);
+      if (oklch) oklchColors.push({ propName, hex: value, oklch, bucket: 'root' });
+    }
+  }
+  // Extra theme modes are top-level keys declared in _meta.modes
+  for (const mode of Object.keys((meta && meta.modes) || {})) {
+    for (const [key, value] of Object.entries(data[mode] || {})) {
+      const propName = `color-${key}`;
+      (modes[mode] = modes[mode] || []).push(cssVar(propName, value));
+      if (isColorValue(value)) {
+        const oklch = toOklch(value);
+        if (oklch) oklchColors.push({ propName, hex: value, oklch, bucket: mode });
+      }
+    }
+  }
+
+  return { root, light, dark, modes, oklchColors };
+}
+
+function generateSizing(source) {
+  const { data } = loadJSON(source, 'sizing.json');
+  const root = [];
+
+  for (const [key, value] of Object.entries(data.size || {})) {
+    root.push(cssVar(key, pxVal(value)));
+  }
+  for (const [key, value] of Object.entries(data.space || {})) {
+    root.push(cssVar(key, pxVal(value)));
+  }
+
+  return { root };
+}
+
+function generateTypography(source) {
+  const { data } = loadJSON(source, 'typography.json');
+  const root = [];
+
+  for (const [key, value] of Object.entries(data.primitive.family || {})) {
+    root.push(cssVar(`font-family-${key}`, value));
+  }
+  for (const [key, value] of Object.entries(data.primitive.weight || {})) {
+    root.push(cssVar(`font-weight-${key}`, value));
+  }
+  for (const [name, style] of Object.entries(data.composite || {})) {
+    root.push(cssVar(`font-size-${name}`, pxVal(style.fontSize)));
+    root.push(cssVar(`line-height-${name}`, pxVal(style.lineHeight)));
+    root.push(cssVar(`font-weight-${name}`, data.primitive.weight[style.fontWeight]));
+    root.push(fontShorthandVar(name, `var(--font-family-${style.fontFamily})`));
+  }
+
+  return { root };
+}
+
+/**
+ * --font-{name} shorthand for a composite style, usable as `font: var(--font-{name})`.
+ * Built from the style's own size, line-height and weight vars so unit and
+ * fluid conversions (see UNITS AND FLUID TYPOGRAPHY) carry through.
+ */
+function fontShorthandVar(name, family) {
+  return cssVar(`font-${name}`, `var(--font-weight-${name}) var(--font-size-${name})/var(--line-height-${name}) ${family}`);
+}
+
+/**
+ * Vars for a DTCG typography composite ($type: typography) with resolved
+ * references: font-size, line-height, font-weight and letter-spacing, plus the
+ * --font-{name} shorthand. `families` maps font-family keys to their CSS values;
+ * a matching family is referenced as var(--font-family-{key}) instead of repeated.
+ */
+function typographyCompositeVars(name, value, families) {
+  const family = Array.isArray(value.fontFamily) ? value.fontFamily.join(', ') : String(value.fontFamily);
+  const familyKey = Object.keys(families).find(key => families[key] === family);
+  const lines = [
+    cssVar(`font-size-${name}`, String(value.fontSize)),
+    cssVar(`line-height-${name}`, String(value.lineHeight)),
+    cssVar(`font-weight-${name}`, String(value.fontWeight))
+  ];
+  if (value.letterSpacing !== undefined) lines.push(cssVar(`letter-spacing-${name}`, String(value.letterSpacing)));
+  lines.push(fontShorthandVar(name, familyKey ? `var(--font-family-${familyKey})` : family));
+  return lines;
+}
+
+/**
+ * CSS name of a typography composite: its path without a leading "typography" group.
+ */
+function typographyCompositeName(tokenPath) {
+  return (tokenPath[0] === 'typography' ? tokenPath.slice(1) : tokenPath).join('-');
+}
+
+function generateRadii(source) {
+  const { data } = loadJSON(source, 'radii.json');
+  const root = [];
+
+  for (const [key, value] of Object.entries(data.radius || {})) {
+    root.push(cssVar(key, pxVal(value)));
+  }
+
+  return { root };
+}
+
+function generateShadows(source) {
+  const { data, meta } = loadJSON(source, 'shadows.json');
+  const root = [];
+  const light = [];
+  const dark = [];
+  const modes = {};
+
+  const levels = ['small', 'medium', 'large'];
+
+  for (const level of levels) {
+    const geo = data.geometry[level];
+    const shadowTemplate = `${pxVal(geo.offsetX)} ${pxVal(geo.offsetY)} ${pxVal(geo.blurRadius)} ${pxVal(geo.spreadRadius)}`;
+
+    dark.push(cssVar(`shadow-${level}`, `${shadowTemplate} ${data.dark[`shadow-${level}`]}`));
+    light.push(cssVar(`shadow-${level}`, `${shadowTemplate} ${data.light[`shadow-${level}`]}`));
+    for (const mode of Object.keys((meta && meta.modes) || {})) {
+      const color = data[mode] && data[mode][`shadow-${level}`];
+      if (color) (modes[mode] = modes[mode] || []).push(cssVar(`shadow-${level}`, `${shadowTemplate} ${color}`));
+    }
+  }
+
+  for (const [key, value] of Object.entries(data.blur || {})) {
+    root.push(cssVar(key, pxVal(value)));
+  }
+
+  return { root, light, dark, modes };
+}
+
+function generateBorders(source) {
+  const { data } = loadJSON(source, 'borders.json');
+  const root = [];
+
+  for (const [key, value] of Object.entries(data.width || {})) {
+    root.push(cssVar(`border-width-${key}`, pxVal(value)));
+  }
+  for (const [key, value] of Object.entries(data.style || {})) {
+    root.push(cssVar(`border-style-${key}`, value));
+  }
+
+  return { root };
+}
+
+function generateOpacity(source) {
+  const { data } = loadJSON(source, 'opacity.json');
+  const root = [];
+
+  for (const [key, value] of Object.entries(data.opacity || {})) {
+    root.push(cssVar(`opacity-${key}`, value));
+  }
+
+  return { root };
+}
+
+function generateZIndex(source) {
+  const { data } = loadJSON(source, 'z-index.json');
+  const root = [];
+
+  for (const [key, value] of Object.entries(data.z || {})) {
+    root.push(cssVar(`z-${key}`, value));
+  }
+
+  return { root };
+}
+
+function generateTransitions(source) {
+  const { data } = loadJSON(source, 'transitions.json');
+  const root = [];
+
+  for (const [key, value] of Object.entries(data.duration || {})) {
+    root.push(cssVar(`duration-${key}`, `${value}ms`));
+  }
+  for (const [key, value] of Object.entries(data.easing || {})) {
+    root.push(cssVar(`easing-${key}`, value));
+  }
+
+  return { root };
+}
+
+// ============================================================
+// DTCG FORMAT PIPELINE
+// ============================================================
+
+/**
+ * Load a DTCG .tokens.json file and return the parsed JSON (minus top-level $ keys).
+ */
+function loadDTCG(source, filename) {
+  const filepath = path.join(source.dir, filename);
+  const data = readTokenFile(source, filepath);
+  recordDTCGDeprecations(source, data);
+  recordModes(source, data.$extensions && data.$extensions.modes);
+  return data;
+}
+
+/**
+ * Collect all tokens from a DTCG tree into a flat map.
+ * Each entry: { path: ['color','background','primary','dark'], $value, $type, $extensions }
+ * The path is the sequence of keys from root to the token node. A token
+ * without its own $type inherits the nearest group's $type.
+ */
+function flattenDTCG(obj, parentPath = [], parentType = obj.$type) {
+  const tokens = [];
+  for (const [key, val] of Object.entries(obj)) {
+    if (key.startsWith('$')) continue; // skip $name, $description, etc.
+    if (val && typeof val === 'object' && '$value' in val) {
+      tokens.push({
+        path: [...parentPath, key],
+        $value: val.$value,
+        $type: val.$type || parentType,
+        $extensions: val.$extensions || {}
+      });
+    } else if (val && typeof val === 'object') {
+      tokens.push(...flattenDTCG(val, [...parentPath, key], val.$type || parentType));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Build a lookup map from dot-path to $value for resolving {references}.
+ * E.g., "font.weight.semibold" -> 600
+ */
+function buildRefMap(allTokens) {
+  const map = {};
+  for (const t of allTokens) {
+    map[t.path.join('.')] = t.$value;
+  }
+  return map;
+}
+
+/**
+ * Resolve {curly.brace} references in a $value. Unknown and circular
+ * references are left in place and reported through warn().
+ * seen holds the references currently being expanded.
+ */
+function resolveRefs(value, refMap, warn, seen = []) {
+  if (typeof value === 'string') {
+    return value.replace(/\{([^}]+)\}/g, (_, ref) => {
+      const resolved = refMap[ref];
+      if (resolved === undefined) {
+        warn(unresolvedReference(ref));
+        return `{${ref}}`;
+      }
+      if (seen.includes(ref)) {
+        warn(circularReference(ref));
+        return `{${ref}}`;
+      }
+      // Recursively resolve in case the target is also a reference
+      return resolveRefs(String(resolved), refMap, warn, [...seen, ref]);
+    });
+  }
+  return value;
+}
+
+function unresolvedReference(ref) {
+  return { code: 'unresolved-reference', message: `unresolved reference {${ref}}`, ref };
+}
+
+function circularReference(ref) {
+  return { code: 'circular-reference', message: `circular reference through {${ref}}`, ref };
+}
+
+/**
+ * Format a DTCG $value for CSS output, based on $type.
+ */
+function formatDTCGValue(value, type) {
+  if (type === 'shadow' && typeof value === 'object') {
+    // Composite shadow: { offsetX, offsetY, blur, spread, color }
+    return `${value.offsetX} ${value.offsetY} ${value.blur} ${value.spread} ${value.color}`;
+  }
+  if (type === 'cubicBezier') {
+    if (Array.isArray(value)) {
+      return `cubic-bezier(${value.join(', ')})`;
+    }
+    // Named easing like "ease-in" — pass through as-is
+    return String(value);
+  }
+  if (type === 'duration' && typeof value === 'number') {
+    return `${value}ms`;
+  }
+  // Everything else: pass through as string
+  return String(value);
+}
+
+function generateDTCGColors(source) {
+  const data = loadDTCG(source, 'colors.tokens.json');
+  const tokens = flattenDTCG(data);
+  const root = [];
+  const light = [];
+  const dark = [];
+  const modes = {};
+  const oklchColors = [];
+
+  for (const t of tokens) {
+    const mode = t.$extensions.mode;
+    // Determine CSS property name from path.
+    // Path patterns:
+    //   color.background.primary.dark  -> --color-background-primary (dark mode)
+    //   color.modeless.white           -> --color-modeless-white (shared)
+    const pathParts = [...t.path];
+    const cssValue = formatDTCGValue(t.$value, t.$type);
+
+    if (mode) {
+      // Remove the mode segment (last element) from the path
+      pathParts.pop();
+      const propName = pathParts.join('-');
+      const line = cssVar(propName, cssValue);
+      if (mode === 'dark') dark.push(line);
+      else if (mode === 'light') light.push(line);
+      else (modes[mode] = modes[mode] || []).push(line);
+
+      if (t.$type === 'color' && isColorValue(cssValue)) {
+        const oklch = toOklch(cssValue);
+        if (oklch) oklchColors.push({ propName, hex: cssValue, oklch, bucket: mode });
+      }
+    } else {
+      // Shared / modeless token
+      const propName = pathParts.join('-');
+      root.push(cssVar(propName, cssValue));
+
+      if (t.$type === 'color' && isColorValue(cssValue)) {
+        const oklch = toOklch(cssValue);
+        if (oklch) oklchColors.push({ propName, hex: cssValue, oklch, bucket: 'root' });
+      }
+    }
+  }
+
+  return { root, light, dark, modes, oklchColors };
+}
+
+function generateDTCGSizing(source) {
+  const data = loadDTCG(source, 'sizing.tokens.json');
+  const tokens = flattenDTCG(data);
+  const root = [];
+
+  for (const t of tokens) {
+    // Path: size.size-0, space.space-05 — use last segment as CSS name
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateDTCGTypography(source) {
+  const data = loadDTCG(source, 'typography.tokens.json');
+  const allTokens = flattenDTCG(data);
+  const refMap = buildRefMap(allTokens);
+  const root = [];
+
+  // Index tokens by group for controlled ordering
+  const families = {};   // font.family.*
+  const weights = {};     // font.weight.* (primitive)
+  const sizes = {};       // font.size.*
+  const lineHeights = {}; // line-height.*
+  const compositeWeights = {}; // font-weight-composite.*
+  const composites = [];  // $type: typography
+
+  for (const t of allTokens) {
+    const topGroup = t.path[0];
+    if (t.$type === 'typography') {
+      composites.push(t);
+    } else if (topGroup === 'font' && t.path[1] === 'family') {
+      families[t.path[2]] = t;
+    } else if (topGroup === 'font' && t.path[1] === 'weight') {
+      weights[t.path[2]] = t;
+    } else if (topGroup === 'font' && t.path[1] === 'size') {
+      sizes[t.path[2]] = t;
+    } else if (topGroup === 'line-height') {
+      lineHeights[t.path[1]] = t;
+    } else if (topGroup === 'font-weight-composite') {
+      compositeWeights[t.path[1]] = t;
+    }
+  }
+
+  // 1. Primitive: font families
+  for (const [key, t] of Object.entries(families)) {
+    root.push(cssVar(`font-family-${key}`, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  // 2. Primitive: font weights
+  for (const [key, t] of Object.entries(weights)) {
+    root.push(cssVar(`font-weight-${key}`, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  // 3. Composite styles — interleave font-size, line-height, font-weight per style
+  //    to match the legacy output ordering
+  const compositeNames = Object.keys(sizes);
+  for (const name of compositeNames) {
+    const sizeToken = sizes[name];
+    const lhToken = lineHeights[name];
+    const wToken = compositeWeights[name];
+
+    if (sizeToken) {
+      root.push(cssVar(`font-size-${name}`, formatDTCGValue(sizeToken.$value, sizeToken.$type)));
+    }
+    if (lhToken) {
+      root.push(cssVar(`line-height-${name}`, formatDTCGValue(lhToken.$value, lhToken.$type)));
+    }
+    if (wToken) {
+      let resolvedValue = resolveRefs(wToken.$value, refMap, source.warn);
+      root.push(cssVar(`font-weight-${name}`, formatDTCGValue(resolvedValue, wToken.$type)));
+    }
+    if (sizeToken && lhToken && wToken && families.primary) {
+      root.push(fontShorthandVar(name, 'var(--font-family-primary)'));
+    }
+  }
+
+  // 4. Typography composites — one token carrying the whole style
+  const familyValues = {};
+  for (const [key, t] of Object.entries(families)) familyValues[key] = formatDTCGValue(t.$value, t.$type);
+  for (const t of composites) {
+    const value = deepResolveRefs(t.$value, refMap, source.warn);
+    root.push(...typographyCompositeVars(typographyCompositeName(t.path), value, familyValues));
+  }
+
+  return { root };
+}
+
+function generateDTCGRadii(source) {
+  const data = loadDTCG(source, 'radii.tokens.json');
+  const tokens = flattenDTCG(data);
+  const root = [];
+
+  for (const t of tokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateDTCGShadows(source) {
+  const data = loadDTCG(source, 'shadows.tokens.json');
+  const tokens = flattenDTCG(data);
+  const root = [];
+  const light = [];
+  const dark = [];
+  const modes = {};
+
+  for (const t of tokens) {
+    const mode = t.$extensions.mode;
+    const topGroup = t.path[0];
+
+    if (topGroup === 'shadow') {
+      // shadow.small.dark -> --shadow-small
+      const level = t.path[1];
+      const propName = `shadow-${level}`;
+      const line = cssVar(propName, formatDTCGValue(t.$value, t.$type));
+      if (mode === 'dark') dark.push(line);
+      else if (mode === 'light') light.push(line);
+      else if (mode) (modes[mode] = modes[mode] || []).push(line);
+      else root.push(line);
+    } else if (topGroup === 'blur') {
+      // blur.blur-small -> --blur-small
+      const propName = t.path[t.path.length - 1];
+      root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+    }
+  }
+
+  return { root, light, dark, modes };
+}
+
+function generateDTCGBorders(source) {
+  const data = loadDTCG(source, 'borders.tokens.json');
+  const tokens = flattenDTCG(data);
+  const root = [];
+
+  for (const t of tokens) {
+    // border.width.none -> --border-width-none
+    // border.style.solid -> --border-style-solid
+    const propName = t.path.join('-');
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateDTCGOpacity(source) {
+  const data = loadDTCG(source, 'opacity.tokens.json');
+  const tokens = flattenDTCG(data);
+  const root = [];
+
+  for (const t of tokens) {
+    // opacity.opacity-0 -> --opacity-0
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateDTCGZIndex(source) {
+  const data = loadDTCG(source, 'z-index.tokens.json');
+  const tokens = flattenDTCG(data);
+  const root = [];
+
+  for (const t of tokens) {
+    // z.z-base -> --z-base
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateDTCGTransitions(source) {
+  const data = loadDTCG(source, 'transitions.tokens.json');
+  const tokens = flattenDTCG(data);
+  const root = [];
+
+  for (const t of tokens) {
+    // duration.duration-fast -> --duration-fast
+    // easing.easing-default -> --easing-default
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+// ============================================================
+// THREE-TIER FORMAT PIPELINE
+// ============================================================
+// Loads tokens from primitives/ → semantic/ → component/ subdirectories.
+// Primitives contain raw values. Semantic tokens reference primitives.
+// Component tokens reference semantic (or primitive) tokens.
+// References are resolved depth-first before CSS generation.
+// Output is identical to the flat DTCG pipeline.
+
+/**
+ * Load and flatten all .tokens.json files from a subdirectory of tokens/.
+ * Returns an array of flattened token objects.
+ */
+function loadTierTokens(source, subdir) {
+  const dir = path.join(source.dir, subdir);
+  if (!fs.existsSync(dir)) return [];
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.tokens.json'));
+  const allTokens = [];
+  for (const file of files) {
+    const data = readTokenFile(source, path.join(dir, file));
+    // Primitives are never emitted, so only later tiers can deprecate a property
+    if (path.basename(subdir) !== 'primitives') recordDTCGDeprecations(source, data);
+    recordModes(source, data.$extensions && data.$extensions.modes);
+    allTokens.push(...flattenDTCG(data));
+  }
+  return allTokens;
+}
+
+/**
+ * Deep-resolve all {references} in a value, handling both string values
+ * and composite objects (e.g., shadow with nested color references).
+ *
+ * When a string is exactly one {reference} (full-value alias), the resolved
+ * value preserves its original type (array, number, object). When references
+ * are embedded in a larger string, they are stringified as before.
+ */
+function deepResolveRefs(value, refMap, warn, seen = []) {
+  if (typeof value === 'string') {
+    // Check for full-value reference: string is exactly "{some.path}"
+    const fullRefMatch = value.match(/^\{([^}]+)\}$/);
+    if (fullRefMatch) {
+      const ref = fullRefMatch[1];
+      const resolved = refMap[ref];
+      if (resolved === undefined) {
+        warn(unresolvedReference(ref));
+        return value;
+      }
+      if (seen.includes(ref)) {
+        warn(circularReference(ref));
+        return value;
+      }
+      // Recursively resolve in case the target is also a reference
+      return deepResolveRefs(resolved, refMap, warn, [...seen, ref]);
+    }
+    // Partial references embedded in a string — stringify resolved values
+    return resolveRefs(value, refMap, warn, seen);
+  }
+  if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    const resolved = {};
+    for (const [k, v] of Object.entries(value)) {
+      resolved[k] = deepResolveRefs(v, refMap, warn, seen);
+    }
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * Resolve all tokens in a tier against a reference map.
+ * Returns new token objects with $value fully resolved.
+ */
+function resolveTierTokens(tokens, refMap, warn) {
+  return tokens.map(t => ({
+    ...t,
+    $value: deepResolveRefs(t.$value, refMap, warn)
+  }));
+}
+
+/**
+ * Generate CSS from resolved three-tier tokens.
+ * The semantic tier contains all tokens that map to CSS output.
+ * Component tier tokens are appended as additional CSS vars.
+ * Uses the same CSS name generation logic as the flat DTCG generators.
+ */
+function generateThreeTierColors(resolvedSemantic) {
+  const root = [];
+  const light = [];
+  const dark = [];
+  const modes = {};
+  const oklchColors = [];
+
+  // Filter to color tokens from semantic tier
+  const colorTokens = resolvedSemantic.filter(t => t.path[0] === 'color');
+
+  for (const t of colorTokens) {
+    const mode = t.$extensions.mode;
+    const pathParts = [...t.path];
+    const cssValue = formatDTCGValue(t.$value, t.$type);
+
+    if (mode) {
+      pathParts.pop();
+      const propName = pathParts.join('-');
+      const line = cssVar(propName, cssValue);
+      if (mode === 'dark') dark.push(line);
+      else if (mode === 'light') light.push(line);
+      else (modes[mode] = modes[mode] || []).push(line);
+
+      if (t.$type === 'color' && isColorValue(cssValue)) {
+        const oklch = toOklch(cssValue);
+        if (oklch) oklchColors.push({ propName, hex: cssValue, oklch, bucket: mode });
+      }
+    } else {
+      const propName = pathParts.join('-');
+      root.push(cssVar(propName, cssValue));
+
+      if (t.$type === 'color' && isColorValue(cssValue)) {
+        const oklch = toOklch(cssValue);
+        if (oklch) oklchColors.push({ propName, hex: cssValue, oklch, bucket: 'root' });
+      }
+    }
+  }
+
+  return { root, light, dark, modes, oklchColors };
+}
+
+function generateThreeTierSizing(resolvedSemantic) {
+  const root = [];
+  const sizeTokens = resolvedSemantic.filter(t => t.path[0] === 'size' && t.path.length === 2);
+  const spaceTokens = resolvedSemantic.filter(t => t.path[0] === 'space' && t.path.length === 2);
+
+  for (const t of sizeTokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+  for (const t of spaceTokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateThreeTierTypography(resolvedSemantic) {
+  const root = [];
+
+  // Index tokens by group — same logic as DTCG typography generator
+  const families = {};
+  const weights = {};
+  const sizes = {};
+  const lineHeights = {};
+  const compositeWeights = {};
+  const composites = [];
+
+  const typoTokens = resolvedSemantic.filter(t =>
+    t.path[0] === 'font' || t.path[0] === 'line-height' || t.path[0] === 'font-weight-composite' ||
+    t.$type === 'typography'
+  );
+
+  for (const t of typoTokens) {
+    const topGroup = t.path[0];
+    if (t.$type === 'typography') {
+      composites.push(t);
+    } else if (topGroup === 'font' && t.path[1] === 'family') {
+      families[t.path[2]] = t;
+    } else if (topGroup === 'font' && t.path[1] === 'weight') {
+      weights[t.path[2]] = t;
+    } else if (topGroup === 'font' && t.path[1] === 'size') {
+      sizes[t.path[2]] = t;
+    } else if (topGroup === 'line-height') {
+      lineHeights[t.path[1]] = t;
+    } else if (topGroup === 'font-weight-composite') {
+      compositeWeights[t.path[1]] = t;
+    }
+  }
+
+  for (const [key, t] of Object.entries(families)) {
+    root.push(cssVar(`font-family-${key}`, formatDTCGValue(t.$value, t.$type)));
+  }
+  for (const [key, t] of Object.entries(weights)) {
+    root.push(cssVar(`font-weight-${key}`, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  const compositeNames = Object.keys(sizes);
+  for (const name of compositeNames) {
+    const sizeToken = sizes[name];
+    const lhToken = lineHeights[name];
+    const wToken = compositeWeights[name];
+
+    if (sizeToken) {
+      root.push(cssVar(`font-size-${name}`, formatDTCGValue(sizeToken.$value, sizeToken.$type)));
+    }
+    if (lhToken) {
+      root.push(cssVar(`line-height-${name}`, formatDTCGValue(lhToken.$value, lhToken.$type)));
+    }
+    if (wToken) {
+      root.push(cssVar(`font-weight-${name}`, formatDTCGValue(wToken.$value, wToken.$type)));
+    }
+    if (sizeToken && lhToken && wToken && families.primary) {
+      root.push(fontShorthandVar(name, 'var(--font-family-primary)'));
+    }
+  }
+
+  const familyValues = {};
+  for (const [key, t] of Object.entries(families)) familyValues[key] = formatDTCGValue(t.$value, t.$type);
+  for (const t of composites) {
+    root.push(...typographyCompositeVars(typographyCompositeName(t.path), t.$value, familyValues));
+  }
+
+  return { root };
+}
+
+function generateThreeTierRadii(resolvedSemantic) {
+  const root = [];
+  const tokens = resolvedSemantic.filter(t => t.path[0] === 'radius' && t.path.length === 2);
+
+  for (const t of tokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateThreeTierShadows(resolvedSemantic) {
+  const root = [];
+  const light = [];
+  const dark = [];
+  const modes = {};
+
+  const shadowTokens = resolvedSemantic.filter(t => t.path[0] === 'shadow');
+  const blurTokens = resolvedSemantic.filter(t => t.path[0] === 'blur');
+
+  for (const t of shadowTokens) {
+    const mode = t.$extensions.mode;
+    const level = t.path[1];
+    const propName = `shadow-${level}`;
+    const line = cssVar(propName, formatDTCGValue(t.$value, t.$type));
+    if (mode === 'dark') dark.push(line);
+    else if (mode === 'light') light.push(line);
+    else if (mode) (modes[mode] = modes[mode] || []).push(line);
+    else root.push(line);
+  }
+
+  for (const t of blurTokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root, light, dark, modes };
+}
+
+function generateThreeTierBorders(resolvedSemantic) {
+  const root = [];
+  const tokens = resolvedSemantic.filter(t => t.path[0] === 'border');
+
+  for (const t of tokens) {
+    const propName = t.path.join('-');
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateThreeTierOpacity(resolvedSemantic) {
+  const root = [];
+  const tokens = resolvedSemantic.filter(t => t.path[0] === 'opacity');
+
+  for (const t of tokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateThreeTierZIndex(resolvedSemantic) {
+  const root = [];
+  const tokens = resolvedSemantic.filter(t => t.path[0] === 'z');
+
+  for (const t of tokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+function generateThreeTierTransitions(resolvedSemantic) {
+  const root = [];
+  const durationTokens = resolvedSemantic.filter(t => t.path[0] === 'duration');
+  const easingTokens = resolvedSemantic.filter(t => t.path[0] === 'easing');
+
+  for (const t of durationTokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+  for (const t of easingTokens) {
+    const propName = t.path[t.path.length - 1];
+    root.push(cssVar(propName, formatDTCGValue(t.$value, t.$type)));
+  }
+
+  return { root };
+}
+
+/**
+ * Catch-all generator for tokens whose path[0] doesn't match standard categories.
+ * Handles component-tier tokens like button.*, card.*, etc.
+ * Emits --{path.join('-')} in the appropriate mode block.
+ * Color tokens are included in OKLCH processing when --oklch is active.
+ */
+function generateThreeTierCatchAll(tokens) {
+  const root = [];
+  const light = [];
+  const dark = [];
+  const modes = {};
+  const oklchColors = [];
+
+  for (const t of tokens) {
+    const mode = t.$extensions.mode;
+    const pathParts = [...t.path];
+    const cssValue = formatDTCGValue(t.$value, t.$type);
+
+    if (mode) {
+      // Remove the mode segment (last element) from the path
+      pathParts.pop();
+      const propName = pathParts.join('-');
+      const line = cssVar(propName, cssValue);
+      if (mode === 'dark') dark.push(line);
+      else if (mode === 'light') light.push(line);
+      else (modes[mode] = modes[mode] || []).push(line);
+
+      if (t.$type === 'color' && isColorValue(cssValue)) {
+        const oklch = toOklch(cssValue);
+        if (oklch) oklchColors.push({ propName, hex: cssValue, oklch, bucket: mode });
+      }
+    } else {
+      const propName = pathParts.join('-');
+      root.push(cssVar(propName, cssValue));
+
+      if (t.$type === 'color' && isColorValue(cssValue)) {
+        const oklch = toOklch(cssValue);
+        if (oklch) oklchColors.push({ propName, hex: cssValue, oklch, bucket: 'root' });
+      }
+    }
+  }
+
+  return { root, light, dark, modes, oklchColors };
+}
+
+// Top-level groups the three-tier category generators emit; anything else
+// goes through the catch-all
+const THREE_TIER_CATEGORIES = new Set([
+  'color', 'shadow', 'blur', 'font', 'line-height', 'font-weight-composite',
+  'size', 'space', 'radius', 'border', 'opacity', 'z', 'duration', 'easing'
+]);
+
+/**
+ * Build generators for the three-tier pipeline.
+ * Loads all tiers, resolves references depth-first, then returns
+ * generator functions that produce the same CSS as the flat DTCG pipeline,
+ * plus the token count of each tier. With a brand, that brand's primitive and
+ * semantic overrides are merged in first.
+ */
+function buildThreeTierGenerators(source, brand = null) {
+  // Brand overrides for a tier (see BRANDS); none for the base build
+  const withBrand = (tier, tokens) =>
+    brand ? mergeTierTokens(tokens, loadTierTokens(source, path.join(BRANDS_DIR, brand, tier))) : tokens;
+
+  // 1. Load primitives — raw values, no references to resolve
+  const primitiveTokens = withBrand('primitives', loadTierTokens(source, 'primitives'));
+  const primitiveRefMap = buildRefMap(primitiveTokens);
+
+  // 2. Load semantic tokens, resolve references against primitives
+  const rawSemanticTokens = withBrand('semantic', loadTierTokens(source, 'semantic'));
+  const resolvedSemantic = resolveTierTokens(rawSemanticTokens, primitiveRefMap, source.warn);
+  const semanticRefMap = { ...primitiveRefMap, ...buildRefMap(resolvedSemantic) };
+
+  // 3. Load component tokens, resolve against primitives + semantic
+  const rawComponentTokens = loadTierTokens(source, 'component');
+  const resolvedComponent = resolveTierTokens(rawComponentTokens, semanticRefMap, source.warn);
+
+  // Merge semantic + component for CSS generation (component overrides/extends)
+  const allResolved = [...resolvedSemantic, ...resolvedComponent];
+
+  const tierCount = {
+    primitives: primitiveTokens.length,
+    semantic: resolvedSemantic.length,
+    component: resolvedComponent.length
+  };
+
+  const generators = [
+    { name: 'colors', fn: () => generateThreeTierColors(allResolved) },
+    { name: 'sizing', fn: () => generateThreeTierSizing(allResolved) },
+    { name: 'typography', fn: () => generateThreeTierTypography(allResolved) },
+    { name: 'radii', fn: () => generateThreeTierRadii(allResolved) },
+    { name: 'shadows', fn: () => generateThreeTierShadows(allResolved) },
+    { name: 'borders', fn: () => generateThreeTierBorders(allResolved) },
+    { name: 'opacity', fn: () => generateThreeTierOpacity(allResolved) },
+    { name: 'z-index', fn: () => generateThreeTierZIndex(allResolved) },
+    { name: 'transitions', fn: () => generateThreeTierTransitions(allResolved) },
+  ];
+
+  // Catch-all: emit tokens whose path[0] doesn't match any standard category.
+  // This covers component-tier tokens like button.*, card.*, etc.
+  // Typography composites are emitted by the typography generator wherever they live
+  const remainingTokens = allResolved.filter(t => !THREE_TIER_CATEGORIES.has(t.path[0]) && t.$type !== 'typography');
+
+  if (remainingTokens.length > 0) {
+    // Group by path[0] for organized CSS comments
+    const groups = {};
+    for (const t of remainingTokens) {
+      const group = t.path[0];
+      if (!groups[group]) groups[group] = [];
+      groups[group].push(t);
+    }
+
+    for (const [group, tokens] of Object.entries(groups)) {
+      generators.push({
+        name: group,
+        fn: () => generateThreeTierCatchAll(tokens)
+      });
+    }
+  }
+
+  return { generators, tiers: tierCount };
+}
+
+// ============================================================
+// DTCG VALIDATION (--strict flag)
+// ============================================================
+// Checks every *.tokens.json (flat, or primitives/ → semantic/ → component/)
+// before generation. Each issue carries the file (relative to the tokens dir)
+// and a JSON pointer to the offending node:
+//   colors.tokens.json#/color/accent/teal/dark: invalid color "#79DDE"
+// Without --strict issues are reported as warnings and the build continues.
+
+const TIER_DIRS = ['primitives', 'semantic', 'component'];
+
+// Which tiers each tier can reference (mirrors buildThreeTierGenerators)
+const TIER_SCOPES = {
+  primitives: ['primitives'],
+  semantic: ['primitives'],
+  component: ['primitives', 'semantic']
+};
+
+// Groups whose CSS name is the last path segment: size.size-40 → --size-40
+const LAST_SEGMENT_GROUPS = new Set(['size', 'space', 'radius', 'blur', 'opacity', 'z', 'duration', 'easing']);
+
+const HEX_COLOR = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const DIMENSION = /^-?(\d+\.?\d*|\.\d+)(px|rem|em)$/;
+const DURATION = /^(\d+\.?\d*|\.\d+)(ms|s)$/;
+const FONT_WEIGHT_KEYWORDS = ['thin', 'hairline', 'extra-light', 'ultra-light', 'light', 'normal', 'regular', 'book',
+  'medium', 'semi-bold', 'demi-bold', 'bold', 'extra-bold', 'ultra-bold', 'black', 'heavy', 'extra-black', 'ultra-black'];
+const STROKE_STYLES = ['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'outset', 'inset'];
+const REFERENCE = /\{([^}]+)\}/g;
+
+const isRef = (value) => typeof value === 'string' && /^\{[^}]+\}$/.test(value);
+
+/**
+ * Check a sub-value of a composite token, skipping references (they are
+ * checked separately). Returns a problem description or null.
+ */
+function checkPart(value, type) {
+  return isRef(value) ? null : checkDTCGValue(value, type);
+}
+
+function checkFields(value, fields, label) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return `expected ${label} object { ${Object.keys(fields).join(', ')} }`;
+  }
+  for (const [field, type] of Object.entries(fields)) {
+    if (!(field in value)) return `${label} is missing "${field}"`;
+    const problem = checkPart(value[field], type);
+    if (problem) return `${field}: ${problem}`;
+  }
+  return null;
+}
+
+/**
+ * Type/value agreement for one DTCG $type. Accepts the forms the generators
+ * can render; "string" is not a spec type but is used here for CSS keywords
+ * such as easing names. Returns a problem description or null.
+ */
+function checkDTCGValue(value, type) {
+  switch (type) {
+    case 'color':
+      if (typeof value === 'string' && HEX_COLOR.test(value.trim())) return null;
+      if ((isOklchValue(value) || isDisplayP3Value(value)) && toOklab(value)) return null;
+      return `invalid color ${JSON.stringify(value)} (expected #RGB, #RGBA, #RRGGBB, #RRGGBBAA, oklch() or color(display-p3))`;
+    case 'dimension':
+      if (typeof value === 'string' && DIMENSION.test(value)) return null;
+      return `invalid dimension ${JSON.stringify(value)} (expected a number with px, rem or em)`;
+    case 'duration':
+      if ((typeof value === 'string' && DURATION.test(value)) || (typeof value === 'number' && value >= 0)) return null;
+      return `invalid duration ${JSON.stringify(value)} (expected ms or s)`;
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : `expected a number, got ${JSON.stringify(value)}`;
+    case 'fontWeight':
+      if ((typeof value === 'number' && value >= 1 && value <= 1000) || FONT_WEIGHT_KEYWORDS.includes(value)) return null;
+      return `invalid font weight ${JSON.stringify(value)} (expected 1-1000 or a weight keyword)`;
+    case 'fontFamily':
+      if (typeof value === 'string' && value.trim()) return null;
+      if (Array.isArray(value) && value.length && value.every(v => typeof v === 'string')) return null;
+      return `expected a font family string or array of strings`;
+    case 'cubicBezier':
+      if (typeof value === 'string') return null; // named easing, passed through
+      if (Array.isArray(value) && value.length === 4 && value.every(v => typeof v === 'number') &&
+          value[0] >= 0 && value[0] <= 1 && value[2] >= 0 && value[2] <= 1) return null;
+      return `expected [x1, y1, x2, y2] with x1 and x2 in 0-1`;
+    case 'strokeStyle':
+      return STROKE_STYLES.includes(value) || (value && typeof value === 'object') ? null : `invalid stroke style ${JSON.stringify(value)}`;
+    case 'string':
+      return typeof value === 'string' ? null : `expected a string, got ${JSON.stringify(value)}`;
+    case 'shadow':
+      return checkFields(value, { offsetX: 'dimension', offsetY: 'dimension', blur: 'dimension', spread: 'dimension', color: 'color' }, 'shadow');
+    case 'border':
+      return checkFields(value, { color: 'color', width: 'dimension', style: 'strokeStyle' }, 'border');
+    case 'transition':
+      return checkFields(value, { duration: 'duration', delay: 'duration', timingFunction: 'cubicBezier' }, 'transition');
+    case 'typography':
+      return checkFields(value, { fontFamily: 'fontFamily', fontSize: 'dimension', fontWeight: 'fontWeight', lineHeight: null, letterSpacing: 'dimension' }, 'typography');
+    case 'gradient':
+      if (!Array.isArray(value) || !value.length) return `expected an array of gradient stops`;
+      for (const stop of value) {
+        const problem = checkFields(stop, { color: 'color', position: 'number' }, 'gradient stop');
+        if (problem) return problem;
+      }
+      return null;
+    default:
+      return null; // unchecked composite field (typography lineHeight may be unitless)
+  }
+}
+
+const DTCG_TYPES = ['color', 'dimension', 'duration', 'number', 'fontWeight', 'fontFamily', 'cubicBezier',
+  'strokeStyle', 'string', 'shadow', 'border', 'transition', 'typography', 'gradient'];
+
+function jsonPointer(keys) {
+  return keys.map(k => '/' + k.replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+/**
+ * CSS custom property name (without --) a token is emitted as, matching the
+ * naming in the DTCG and three-tier generators.
+ */
+function dtcgCssName(tokenPath, mode, type) {
+  const parts = mode ? tokenPath.slice(0, -1) : tokenPath;
+  const [group, sub] = parts;
+  if (type === 'typography') return `font-${typographyCompositeName(parts)}`;
+  if (group === 'font' && ['family', 'weight', 'size'].includes(sub)) return `font-${sub}-${parts[2]}`;
+  if (group === 'line-height') return `line-height-${parts[1]}`;
+  if (group === 'font-weight-composite') return `font-weight-${parts[1]}`;
+  if (group === 'shadow') return `shadow-${parts[1]}`;
+  if (LAST_SEGMENT_GROUPS.has(group)) return parts[parts.length - 1];
+  return parts.join('-');
+}
+
+/**
+ * Walk one token file, collecting tokens ({ file, tier, brand, pointer, path,
+ * $value, $type, mode }) and structural issues.
+ */
+function walkTokenFile(node, ctx, keys = [], inheritedType = node.$type) {
+  for (const [key, val] of Object.entries(node)) {
+    if (key.startsWith('$')) continue;
+    const childKeys = [...keys, key];
+    const issue = (code, message) => ctx.issues.push({ file: ctx.file, pointer: jsonPointer(childKeys), code, message });
+
+    if (!val || typeof val !== 'object' || Array.isArray(val)) {
+      issue('invalid-node', `expected a token (with $value) or a group, got ${JSON.stringify(val)}`);
+      continue;
+    }
+    if (!('$value' in val)) {
+      const hasChildren = Object.keys(val).some(k => !k.startsWith('$'));
+      if (!hasChildren && ('$type' in val || '$extensions' in val)) {
+        issue('missing-value', `token has no $value`);
+        continue;
+      }
+      walkTokenFile(val, ctx, childKeys, val.$type || inheritedType);
+      continue;
+    }
+
+    const type = val.$type || inheritedType;
+    if (type !== undefined && !DTCG_TYPES.includes(type)) {
+      issue('unknown-type', `unknown $type "${type}" (expected ${DTCG_TYPES.join(', ')})`);
+    }
+    ctx.tokens.push({
+      file: ctx.file,
+      tier: ctx.tier,
+      brand: ctx.brand,
+      pointer: jsonPointer(childKeys),
+      path: childKeys,
+      $value: val.$value,
+      $type: type,
+      mode: (val.$extensions || {}).mode,
+      deprecated: (val.$extensions || {}).deprecated
+    });
+  }
+}
+
+/** Every {reference} inside a (possibly composite) value. */
+function referencesIn(value) {
+  if (typeof value === 'string') return [...value.matchAll(REFERENCE)].map(m => m[1]);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(referencesIn);
+  return [];
+}
+
+/**
+ * Validate a DTCG or three-tier token directory against the DTCG spec.
+ * Checks type/value agreement, missing $value, reference targets (within the
+ * scope the generators resolve them in), circular aliases, duplicate CSS
+ * names after flattening, dark/light mode coverage and deprecation
+ * replacements. Brand override files (brands/<brand>/...) are checked too.
+ * Returns [{ file, pointer, code, message }]; legacy sources return [].
+ */
+function validateTokens({ dir = DEFAULT_TOKENS_DIR, format = 'auto' } = {}) {
+  dir = path.resolve(dir);
+  const source = { dir, warn: () => {} };
+  if (format === 'auto') format = detectFormat(dir);
+  if (format === 'legacy') return [];
+
+  const tierFiles = (base, brand = null) => TIER_DIRS.flatMap(tier => {
+    const tierDir = path.join(dir, base, tier);
+    if (!fs.existsSync(tierDir)) return [];
+    return fs.readdirSync(tierDir).filter(f => f.endsWith('.tokens.json')).map(f => ({ file: path.join(base, tier, f), tier, brand }));
+  });
+  const files = format === 'three-tier'
+    ? [...tierFiles(''), ...listBrands(dir).flatMap(brand => tierFiles(path.join(BRANDS_DIR, brand), brand))]
+    : fs.readdirSync(dir).filter(f => f.endsWith('.tokens.json')).map(f => ({ file: f, tier: null, brand: null }));
+
+  const issues = [];
+  const tokens = [];
+  for (const { file, tier, brand } of files) {
+    walkTokenFile(readTokenFile(source, path.join(dir, file)), { file, tier, brand, tokens, issues });
+  }
+  const report = (t, code, message, extra = {}) => issues.push({ file: t.file, pointer: t.pointer, code, message, ...extra });
+
+  // Reference scope: flat files resolve within themselves, tiers per TIER_SCOPES
+  const byName = new Map();
+  for (const t of tokens) {
+    const name = t.path.join('.');
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(t);
+  }
+  // Brand tokens also see their own brand's overrides; base tokens never do
+  const visible = (t, ref) => (byName.get(ref) || []).find(target =>
+    (!target.brand || target.brand === t.brand) &&
+    (t.tier ? TIER_SCOPES[t.tier].includes(target.tier) : target.file === t.file));
+
+  // 1. References and type/value agreement
+  for (const t of tokens) {
+    for (const ref of referencesIn(t.$value)) {
+      if (visible(t, ref)) continue;
+      const elsewhere = (byName.get(ref) || [])[0];
+      const hint = !elsewhere ? ''
+        : t.tier ? ` (defined in ${elsewhere.file}; ${t.tier}/ can only reference ${TIER_SCOPES[t.tier].join('/, ')}/)`
+        : ` (defined in ${elsewhere.file}; references resolve within the same file)`;
+      report(t, 'unresolved-reference', `unresolved reference {${ref}}${hint}`, { ref });
+    }
+
+    if (isRef(t.$value)) {
+      const target = visible(t, t.$value.slice(1, -1));
+      // Aliases take their type from the target; only a conflict is an error
+      if (target && t.$type && target.$type && target.$type !== t.$type) {
+        report(t, 'type-mismatch', `${t.$type} token aliases {${t.$value.slice(1, -1)}} of type ${target.$type}`);
+      }
+    } else if (!t.$type) {
+      report(t, 'missing-type', `token has no $type (set it on the token or a parent group)`);
+    } else if (typeof t.$value === 'object' || !referencesIn(t.$value).length) {
+      // Composite parts that are references are skipped by checkPart()
+      const problem = checkDTCGValue(t.$value, t.$type);
+      if (problem) report(t, 'invalid-value', problem);
+    }
+  }
+
+  // 2. Circular aliases (reported once, at the token where the cycle was entered)
+  const state = new Map(); // token → 'visiting' | 'done'
+  const visit = (t, chain) => {
+    if (state.get(t) === 'done') return;
+    if (state.get(t) === 'visiting') {
+      const cycle = chain.slice(chain.indexOf(t)).concat(t).map(c => c.path.join('.'));
+      report(t, 'circular-reference', `circular reference: ${cycle.join(' → ')}`, { ref: t.path.join('.') });
+      return;
+    }
+    state.set(t, 'visiting');
+    for (const ref of referencesIn(t.$value)) {
+      const target = visible(t, ref);
+      if (target) visit(target, [...chain, t]);
+    }
+    state.set(t, 'done');
+  };
+  for (const t of tokens) visit(t, []);
+
+  // 3. Duplicate CSS names and dark/light coverage (primitives are never
+  // emitted; other modes fall back to their base mode, see THEME MODES)
+  const emitted = new Map(); // "block name" → first token
+  const modes = new Map();   // name → Map(mode → token)
+  // Brand tokens replace base tokens by design, so they are left out
+  for (const t of tokens.filter(t => t.tier !== 'primitives' && !t.brand)) {
+    const themed = t.mode === 'dark' || t.mode === 'light';
+    const name = dtcgCssName(t.path, t.mode, t.$type);
+    const key = `${t.mode || 'root'} ${name}`;
+    const first = emitted.get(key);
+    if (first) {
+      report(t, 'duplicate-name', `duplicate CSS name --${name} (also produced by ${first.file}#${first.pointer})`);
+    } else {
+      emitted.set(key, t);
+    }
+    if (themed) {
+      if (!modes.has(name)) modes.set(name, new Map());
+      modes.get(name).set(t.mode, t);
+    }
+  }
+  for (const [name, byMode] of modes) {
+    for (const [present, missing] of [['dark', 'light'], ['light', 'dark']]) {
+      if (byMode.has(present) && !byMode.has(missing)) {
+        report(byMode.get(present), 'missing-mode', `--${name} has a ${present} value but no ${missing} value`);
+      }
+    }
+  }
+
+  // 4. Deprecation replacements must be generated properties
+  const emittedNames = new Set([...emitted.keys()].map(key => key.split(' ')[1]));
+  for (const t of tokens.filter(t => t.deprecated && t.tier !== 'primitives')) {
+    const replacement = typeof t.deprecated === 'string' ? t.deprecated : t.deprecated.replacement;
+    if (replacement && !emittedNames.has(replacement.replace(/^--/, ''))) {
+      const name = dtcgCssName(t.path, t.mode, t.$type);
+      report(t, 'unknown-replacement', `--${name} names replacement --${replacement.replace(/^--/, '')}, which is not generated`, { ref: name });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * "file#/json/pointer: message" for a validation issue or warning.
+ */
+function formatIssue(issue) {
+  return issue.file ? `${issue.file}#${issue.pointer}: ${issue.message}` : issue.message;
+}
+
+// ============================================================
+// DEPRECATIONS
+// ============================================================
+// A deprecated token keeps its custom property, re-pointed at the replacement
+// so consuming apps keep working while they migrate:
+//
+//   /* Deprecated since 2026-03: use --radius-10 instead */
+//   --radius-05: var(--radius-10);
+//
+// Legacy: "_meta": { "deprecated": { "radius-05": { "replacement": "radius-10", "since": "2026-03" } } }
+// DTCG:   "$extensions": { "deprecated": { "replacement": "radius-10", "message": "..." } }
+//
+// Names are CSS custom property names, with or without the leading --.
+// A bare string is shorthand for { "replacement": ... }.
+
+function recordDeprecation(source, name, marker) {
+  if (!source.deprecated || !marker) return;
+  const info = typeof marker === 'string' ? { replacement: marker } : { ...marker };
+  if (typeof info.replacement === 'string') info.replacement = info.replacement.replace(/^--/, '');
+  source.deprecated.set(name.replace(/^--/, ''), info);
+}
+
+function recordDTCGDeprecations(source, data) {
+  for (const t of flattenDTCG(data)) {
+    if (t.$extensions.deprecated) {
+      recordDeprecation(source, dtcgCssName(t.path, t.$extensions.mode, t.$type), t.$extensions.deprecated);
+    }
+  }
+}
+
+function deprecationNote(info) {
+  let note = 'Deprecated';
+  if (info.since) note += ` since ${info.since}`;
+  if (info.replacement) note += `: use --${info.replacement} instead`;
+  if (info.message) note += ` — ${info.message}`;
+  return note.replace(/\*\//g, '* /');
+}
+
+/**
+ * Rewrite deprecated properties in collected results as var() aliases of
+ * their replacement, each preceded by a deprecation comment. Deprecated
+ * colors drop out of the OKLCH overrides so the alias wins.
+ * Returns { results, deprecations: [{ name, replacement, since?, message? }] }.
+ */
+function applyDeprecations(results, deprecated, warn) {
+  if (deprecated.size === 0) return { results, deprecations: [] };
+
+  const emitted = new Set();
+  for (const result of results) {
+    const modeLines = Object.values(result.modes || {}).flat();
+    for (const line of [...(result.root || []), ...(result.dark || []), ...(result.light || []), ...modeLines]) {
+      const parsed = parseCssVarLine(line);
+      if (parsed) emitted.add(parsed.name);
+    }
+  }
+
+  const active = new Map();
+  for (const [name, info] of deprecated) {
+    if (!emitted.has(name)) {
+      warn({ code: 'unknown-deprecated-token', message: `--${name} is marked deprecated but is not generated`, ref: name });
+      continue;
+    }
+    if (info.replacement && !emitted.has(info.replacement)) {
+      warn({ code: 'unknown-replacement', message: `--${name} names replacement --${info.replacement}, which is not generated`, ref: name });
+      active.set(name, { ...info, replacement: undefined });
+      continue;
+    }
+    active.set(name, info);
+  }
+
+  const rewrite = (lines) => lines && lines.flatMap(line => {
+    const parsed = parseCssVarLine(line);
+    const info = parsed && active.get(parsed.name);
+    if (!info) return [line];
+    const value = info.replacement ? `var(--${info.replacement})` : parsed.value;
+    return [`  /* ${deprecationNote(info)} */`, cssVar(parsed.name, value)];
+  });
+
+  const rewritten = results.map(result => ({
+    ...result,
+    root: rewrite(result.root),
+    dark: rewrite(result.dark),
+    light: rewrite(result.light),
+    modes: result.modes && Object.fromEntries(Object.entries(result.modes).map(([mode, lines]) => [mode, rewrite(lines)])),
+    oklchColors: result.oklchColors && result.oklchColors.filter(c => !(active.get(c.propName) || {}).replacement)
+  }));
+
+  const deprecations = [...active].map(([name, info]) => ({ name, ...info }));
+  return { results: rewritten, deprecations };
+}
+
+// ============================================================
+// THEME MODES
+// ============================================================
+// dark and light are built in. Any other mode name becomes an extra theme
+// with its own selector block:
+//
+//   DTCG:   "color": { "text": { "primary": { "high-contrast": { "$value": "#FFFFFF",
+//                      "$extensions": { "mode": "high-contrast" } } } } }
+//   Legacy: colors.json / shadows.json top-level "high-contrast": { ... } next to "dark"
+//
+// Modes are declared at the top of a token file (legacy: required, DTCG:
+// optional — a mode used in $extensions.mode is picked up automatically):
+//
+//   DTCG:   "$extensions": { "modes": { "stage": { "base": "dark" } } }
+//   Legacy: "_meta": { "modes": { "stage": { "base": "dark" } } }
+//
+// Declaration fields, all optional:
+//   base     — mode whose values fill in tokens this mode doesn't set (default: dark)
+//   selector — selector for the mode block (default: .<name>)
+//   media    — media query that applies the mode when no theme class is set;
+//              "high-contrast" defaults to (prefers-contrast: more), (forced-colors: active)
+
+const BUILT_IN_MODES = ['dark', 'light'];
+const HIGH_CONTRAST_MEDIA = '(prefers-contrast: more), (forced-colors: active)';
+
+function recordModes(source, declared) {
+  if (!source.modes || !declared) return;
+  for (const [name, decl] of Object.entries(declared)) {
+    if (BUILT_IN_MODES.includes(name)) continue;
+    source.modes.set(name, { ...source.modes.get(name), ...decl });
+  }
+}
+
+/**
+ * Resolve declared and discovered modes into [{ name, base, selector, media }],
+ * ordered so a mode's base always comes before it.
+ */
+function resolveModes(results, declared, warn) {
+  const names = new Set(declared.keys());
+  for (const result of results) {
+    for (const mode of Object.keys(result.modes || {})) names.add(mode);
+  }
+
+  const resolved = new Map();
+  const resolve = (name, chain) => {
+    if (resolved.has(name)) return;
+    const decl = declared.get(name) || {};
+    let base = decl.base || 'dark';
+    if (!BUILT_IN_MODES.includes(base) && !names.has(base)) {
+      warn({ code: 'unknown-base-mode', message: `mode "${name}" has unknown base "${base}"; using dark`, ref: name });
+      base = 'dark';
+    } else if (chain.includes(base)) {
+      warn({ code: 'circular-base-mode', message: `circular mode bases: ${[...chain, name, base].join(' → ')}; using dark`, ref: name });
+      base = 'dark';
+    }
+    if (!BUILT_IN_MODES.includes(base)) resolve(base, [...chain, name]);
+    resolved.set(name, {
+      name,
+      base,
+      selector: decl.selector || `.${name}`,
+      media: decl.media !== undefined ? decl.media : (name === 'high-contrast' ? HIGH_CONTRAST_MEDIA : null)
+    });
+  };
+  for (const name of names) resolve(name, []);
+  return [...resolved.values()];
+}
+
+/**
+ * Complete each result's mode blocks from their base mode: the base block's
+ * lines in order with the mode's own values swapped in, then properties only
+ * the mode defines. OKLCH entries are filled in the same way.
+ */
+function applyModeFallbacks(results, modes) {
+  if (modes.length === 0) return results;
+
+  return results.map(result => {
+    const filled = { ...result, modes: {} };
+    let oklchColors = result.oklchColors || [];
+    for (const { name, base } of modes) {
+      const own = (result.modes || {})[name] || [];
+      const ownByName = new Map(own.map(line => [(parseCssVarLine(line) || {}).name, line]));
+      const baseLines = BUILT_IN_MODES.includes(base) ? result[base] || [] : filled.modes[base] || [];
+      const baseNames = new Set();
+      const lines = baseLines.map(line => {
+        const parsed = parseCssVarLine(line);
+        if (!parsed || !ownByName.has(parsed.name)) return line;
+        baseNames.add(parsed.name);
+        return ownByName.get(parsed.name);
+      });
+      lines.push(...own.filter(line => !baseNames.has((parseCssVarLine(line) || {}).name)));
+      if (lines.length > 0) filled.modes[name] = lines;
+
+      const ownColors = oklchColors.filter(c => c.bucket === name);
+      const baseColors = oklchColors.filter(c => c.bucket === base);
+      const colors = baseColors.map(c => ownColors.find(o => o.propName === c.propName) || { ...c, bucket: name });
+      colors.push(...ownColors.filter(o => !baseColors.some(c => c.propName === o.propName)));
+      oklchColors = oklchColors.filter(c => c.bucket !== name).concat(colors);
+    }
+    if (result.oklchColors) filled.oklchColors = oklchColors;
+    return filled;
+  });
+}
+
+// ============================================================
+// WIDE-GAMUT COLORS (Display-P3)
+// ============================================================
+// Colors can be authored as oklch() or color(display-p3 r g b) as well as
+// hex. Every block in tokens.css gets an sRGB hex for them, gamut-mapped
+// with the CSS Color 4 algorithm (see gamutMapOklch()), and so do tokens.js
+// and the other outputs. Colors outside sRGB keep their authored color in a
+// color(display-p3 …) override inside @media (color-gamut: p3), and the
+// --oklch overrides use the authored oklch. Each one is reported with a
+// warning, since screens without P3 see the hex.
+
+/**
+ * Replace oklch() and color(display-p3) values in every block with sRGB
+ * hex fallbacks. Adds p3Colors ([{ propName, p3, bucket }]) to each result
+ * for colors outside sRGB and warns about them ('out-of-srgb-gamut').
+ */
+function applyGamutFallbacks(results, warn) {
+  return results.map(result => {
+    const fallbacks = new Map();
+    const p3Colors = [];
+
+    const convert = (bucket) => (line) => {
+      const parsed = parseCssVarLine(line);
+      if (!parsed || !(isOklchValue(parsed.value) || isDisplayP3Value(parsed.value))) return line;
+      const lab = toOklab(parsed.value);
+      if (!lab) return line;
+      const [L, C, H] = oklabToOKLCH(lab[0], lab[1], lab[2]);
+      const hex = oklchToHex(L, C, H, lab[3]);
+      fallbacks.set(`${bucket} ${parsed.name}`, hex);
+
+      if (!inSrgbGamut(lab[0], lab[1], lab[2])) {
+        p3Colors.push({ propName: parsed.name, p3: oklchToDisplayP3(L, C, H, lab[3]), bucket });
+        warn({
+          code: 'out-of-srgb-gamut',
+          message: `--${parsed.name}: ${parsed.value} is outside the sRGB gamut; ` +
+            `${hex} (ΔE ${round(deltaE(parsed.value, hex), 1)}) is used where P3 isn't available`,
+          ref: `${parsed.name} ${parsed.value}`
+        });
+      }
+      return cssVar(parsed.name, hex);
+    };
+
+    const converted = {
+      ...result,
+      root: (result.root || []).map(convert('root')),
+      dark: (result.dark || []).map(convert('dark')),
+      light: (result.light || []).map(convert('light')),
+      modes: Object.fromEntries(Object.entries(result.modes || {})
+        .map(([mode, lines]) => [mode, lines.map(convert(mode))]))
+    };
+    if (fallbacks.size === 0) return result;
+    if (result.oklchColors) {
+      converted.oklchColors = result.oklchColors.map(c => {
+        const hex = fallbacks.get(`${c.bucket} ${c.propName}`);
+        return hex ? { ...c, hex } : c;
+      });
+    }
+    if (p3Colors.length > 0) converted.p3Colors = p3Colors;
+    return converted;
+  });
+}
+
+// ============================================================
+// TONAL SCALES
+// ============================================================
+// Every opaque accent color (color-accent-<name>) gets a static perceptual
+// scale, --color-<name>-50 … --color-<name>-900, built from its value in
+// each theme mode: the step's OKLCH lightness, the accent's hue, and a share
+// of its chroma, gamut-mapped back to sRGB hex (see oklchToHex()).
+//
+// --color-accent-<name>-hover and -active point at the steps one and two
+// away from the one closest to the accent's own lightness, moving away from
+// the mode's --color-background-primary so interaction adds contrast
+// (lighter on dark backgrounds, darker on light ones). Without a background
+// hover is lighter and active darker, like the color-mix() states. The
+// derived states are the same in every browser; the --modern-css color-mix()
+// states are only emitted for colors without a scale. Names that a token
+// file already defines are left alone.
+
+const TONAL_SCALE_COLORS = /^color-accent-([a-z]+)$/;
+
+// [step, OKLCH lightness, share of the accent's chroma]
+const TONAL_STEPS = [
+  [50, 0.97, 0.4], [100, 0.93, 0.7], [200, 0.87, 0.9], [300, 0.8, 1], [400, 0.72, 1],
+  [500, 0.64, 1], [600, 0.55, 1], [700, 0.46, 1], [800, 0.37, 0.9], [900, 0.28, 0.8]
+];
+
+/**
+ * Tonal scale of an opaque hex or oklch() color, or null:
+ * { steps: [{ step, hex }], lightness, nearest } where nearest is the index
+ * of the step closest to the color's own OKLCH lightness.
+ */
+function tonalScale(value) {
+  const lab = toOklab(value);
+  if (!lab || lab[3] < 1) return null;
+  const [L, C, H] = oklabToOKLCH(lab[0], lab[1], lab[2]);
+  const steps = TONAL_STEPS.map(([step, lightness, share]) => ({ step, hex: oklchToHex(lightness, C * share, H) }));
+  const distances = TONAL_STEPS.map(([, lightness]) => Math.abs(lightness - L));
+  return { steps, lightness: L, nearest: distances.indexOf(Math.min(...distances)) };
+}
+
+/**
+ * Insert a "tonal scales" result (root/dark/light/modes lines and OKLCH
+ * entries) after the result holding the accent colors. Returns results
+ * unchanged when there is nothing to scale.
+ */
+function addTonalScales(results) {
+  const scales = { name: 'tonal scales', root: [], dark: [], light: [], modes: {}, oklchColors: [] };
+  const bucketsOf = (result) => ({ root: result.root, dark: result.dark, light: result.light, ...result.modes });
+  const defined = new Set(results.flatMap(result => Object.values(bucketsOf(result)))
+    .flatMap(lines => (lines || []).map(parseCssVarLine).filter(Boolean).map(v => v.name)));
+  // Lightness of each bucket's page background, when it has one
+  const backgrounds = {};
+  for (const result of results) {
+    for (const [bucket, lines] of Object.entries(bucketsOf(result))) {
+      const page = (lines || []).map(parseCssVarLine).find(v => v && v.name === 'color-background-primary');
+      const lab = page && toOklab(page.value);
+      if (lab) backgrounds[bucket] = lab[0];
+    }
+  }
+  let after = -1;
+
+  results.forEach((result, index) => {
+    for (const [bucket, lines] of Object.entries(bucketsOf(result))) {
+      const out = BUILT_IN_MODES.includes(bucket) || bucket === 'root' ? scales[bucket]
+        : (scales.modes[bucket] = scales.modes[bucket] || []);
+      for (const { name, value } of (lines || []).map(parseCssVarLine).filter(Boolean)) {
+        const match = name.match(TONAL_SCALE_COLORS);
+        const scale = match && tonalScale(value);
+        if (!scale) continue;
+        after = Math.max(after, index);
+
+        const stepName = (i) => `color-${match[1]}-${scale.steps[Math.min(Math.max(i, 0), scale.steps.length - 1)].step}`;
+        for (const [i, { hex }] of scale.steps.entries()) {
+          if (defined.has(stepName(i))) continue;
+          out.push(cssVar(stepName(i), hex));
+          scales.oklchColors.push({ propName: stepName(i), hex, oklch: hexToOklch(hex), bucket });
+        }
+        // Steps run light to dark: -1 is lighter, +1 darker
+        const background = backgrounds[bucket];
+        const away = background === undefined ? null : (background < scale.lightness ? -1 : 1);
+        const hover = scale.nearest + (away || -1);
+        const active = away ? scale.nearest + 2 * away : scale.nearest + 1;
+        if (!defined.has(`${name}-hover`)) out.push(cssVar(`${name}-hover`, `var(--${stepName(hover)})`));
+        if (!defined.has(`${name}-active`)) out.push(cssVar(`${name}-active`, `var(--${stepName(active)})`));
+      }
+    }
+  });
+
+  if (after === -1) return results;
+  return [...results.slice(0, after + 1), scales, ...results.slice(after + 1)];
+}
+
+// ============================================================
+// CONTRAST (WCAG 2.x + APCA)
+// ============================================================
+// Measures every text/icon color (content-*, accent-*, modeless-*) against
+// every surface in every theme mode. Surfaces are the background-* colors plus
+// each highlight-* overlay on each background-*. Translucent colors are
+// composited first, so --color-highlight-primary: #FFFFFF14 is measured as it
+// renders on the background below it.
+//
+// Required text pairings live in tokens/contrast.json. A required pair below
+// its minimum fails the build:
+//
+//   { "required": [{ "foreground": "color-content-primary", "background": "color-background-*", "min": 4.5 }] }
+//
+// Names are custom property names without --, where * matches anything.
+// Optional per rule: "mode" limits it to one mode; "minLc" adds an APCA
+// minimum (absolute Lc).
+
+const CONTRAST_FILE = 'contrast.json';
+const CONTRAST_FOREGROUNDS = /^color-(content|accent|modeless)-/;
+const CONTRAST_BACKGROUNDS = /^color-background-/;
+const CONTRAST_OVERLAYS = /^color-highlight-/;
+
+// WCAG 2.x levels: normal text AAA / AA, large text and non-text UI AA
+const WCAG_LEVELS = [['AAA', 7], ['AA', 4.5], ['AA Large', 3]];
+
+/**
+ * Values per theme mode, shared values included: { dark: Map(name → value), ... }
+ */
+function themeValues(maps) {
+  const shared = new Map(maps.shared.flatMap(g => g.entries));
+  const themes = { dark: maps.dark, light: maps.light, ...maps.modes };
+  return Object.fromEntries(Object.entries(themes)
+    .map(([mode, groups]) => [mode, new Map([...shared, ...groups.flatMap(g => g.entries)])]));
+}
+
+function globToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Read the required pairings from tokens/contrast.json ([] when absent).
+ * A rule without string foreground/background or without a numeric min or
+ * minLc can't be checked, so it throws an Error with code 'ETOKENINVALID'
+ * whose issues point at the rule.
+ */
+function loadContrastRequirements(source) {
+  const filepath = path.join(source.dir, CONTRAST_FILE);
+  if (!fs.existsSync(filepath)) return [];
+  const { required = [] } = readTokenFile(source, filepath);
+  if (!Array.isArray(required)) {
+    throw validationError([{
+      file: CONTRAST_FILE, pointer: '/required', code: 'invalid-contrast-rule', message: '"required" must be an array of rules'
+    }]);
+  }
+
+  const issues = [];
+  required.forEach((rule, i) => {
+    const report = (message) => issues.push({ file: CONTRAST_FILE, pointer: `/required/${i}`, code: 'invalid-contrast-rule', message });
+    if (!rule || typeof rule !== 'object') return report('rule must be an object');
+    for (const key of ['foreground', 'background']) {
+      if (typeof rule[key] !== 'string') report(`"${key}" must be a token name or pattern`);
+    }
+    for (const key of ['min', 'minLc']) {
+      if (rule[key] !== undefined && typeof rule[key] !== 'number') report(`"${key}" must be a number`);
+    }
+    if (rule.min === undefined && rule.minLc === undefined) report('rule needs "min" or "minLc"');
+  });
+  if (issues.length > 0) throw validationError(issues);
+
+  return required.map(rule => {
+    const foreground = globToRegExp(rule.foreground.replace(/^--/, ''));
+    const background = globToRegExp(rule.background.replace(/^--/, ''));
+    return {
+      ...rule,
+      matches: (pair) => foreground.test(pair.foreground) && background.test(pair.background) &&
+        (!rule.mode || rule.mode === pair.mode)
+    };
+  });
+}
+
+/**
+ * Contrast of every foreground on every surface, per mode:
+ * [{ mode, foreground, background, foregroundValue, backgroundValue, over?,
+ *    overValue?, ratio, level, apca, required?: { min, minLc }, pass? }]
+ * over is the background-* an overlay surface sits on. Pairs that match a
+ * requirement carry the strictest matching minimums and pass.
+ */
+function contrastMatrix(results, requirements = []) {
+  const pairs = [];
+  for (const [mode, values] of Object.entries(themeValues(buildTokenMaps(results)))) {
+    const names = [...values.keys()];
+    const foregrounds = names.filter(n => CONTRAST_FOREGROUNDS.test(n));
+    const backgrounds = names.filter(n => CONTRAST_BACKGROUNDS.test(n));
+    const surfaces = [
+      ...backgrounds.map(bg => ({ background: bg })),
+      ...names.filter(n => CONTRAST_OVERLAYS.test(n)).flatMap(overlay => backgrounds.map(bg => ({ background: overlay, over: bg })))
+    ];
+    // Translucent backgrounds sit on the page background
+    const page = values.get('color-background-primary') || '#FFFFFF';
+
+    for (const fg of foregrounds) {
+      for (const surface of surfaces) {
+        const backdrop = surface.over ? values.get(surface.over) : page;
+        const ratio = contrastRatio(values.get(fg), values.get(surface.background), backdrop);
+        if (ratio === null) continue;
+        const pair = {
+          mode,
+          foreground: fg,
+          background: surface.background,
+          foregroundValue: values.get(fg),
+          backgroundValue: values.get(surface.background),
+          ...(surface.over ? { over: surface.over, overValue: values.get(surface.over) } : {}),
+          ratio: round(ratio, 2),
+          level: (WCAG_LEVELS.find(([, min]) => ratio >= min) || ['Fail'])[0],
+          apca: round(apcaContrast(values.get(fg), values.get(surface.background), backdrop), 1)
+        };
+
+        const rules = requirements.filter(rule => rule.matches(pair));
+        if (rules.length > 0) {
+          pair.required = {
+            min: Math.max(0, ...rules.map(r => r.min || 0)),
+            minLc: Math.max(0, ...rules.map(r => r.minLc || 0))
+          };
+          pair.pass = ratio >= pair.required.min && Math.abs(pair.apca) >= pair.required.minLc;
+        }
+        pairs.push(pair);
+      }
+    }
+  }
+  return pairs;
+}
+
+function describePair(pair) {
+  return `--${pair.foreground} on --${pair.background}${pair.over ? ` over --${pair.over}` : ''} (${pair.mode})`;
+}
+
+/**
+ * Issues for required pairs that fall below their minimums. brand names the
+ * brand the matrix was computed for.
+ */
+function checkRequiredContrast(matrix, brand = null) {
+  return matrix.filter(pair => pair.pass === false).map(pair => {
+    const needs = [`${pair.required.min}:1`, pair.required.minLc ? `Lc ${pair.required.minLc}` : null].filter(Boolean);
+    return {
+      code: 'contrast-required',
+      message: `${brand ? `brand "${brand}": ` : ''}${describePair(pair)} is ${pair.ratio}:1, Lc ${pair.apca}; required ${needs.join(', ')}`,
+      ref: `${brand || ''} ${pair.mode} ${pair.foreground} ${pair.background} ${pair.over || ''}`
+    };
+  });
+}
+
+// ============================================================
+// BRANDS (three-tier format)
+// ============================================================
+// White-label brands override primitive and/or semantic tokens:
+//
+//   tokens/brands/<brand>/primitives/*.tokens.json
+//   tokens/brands/<brand>/semantic/*.tokens.json
+//
+// A brand token replaces the base token at the same path or adds a new one.
+// Component tokens are re-resolved against the brand's values, so references
+// like {color.accent.teal} follow the brand accent. The css output emits each
+// brand as [data-brand="<brand>"] blocks at the end of tokens.css, holding
+// only the properties that differ from the base ("brands": "scoped", the
+// default), or as a complete tokens.<brand>.css ("brands": "files").
+
+const BRANDS_DIR = 'brands';
+const BRAND_OUTPUTS = ['scoped', 'files'];
+
+function listBrands(dir) {
+  const brandsDir = path.join(dir, BRANDS_DIR);
+  if (!fs.existsSync(brandsDir)) return [];
+  return fs.readdirSync(brandsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Replace base tokens with overrides at the same path; new paths are appended.
+ */
+function mergeTierTokens(base, overrides) {
+  if (overrides.length === 0) return base;
+  const byPath = new Map(overrides.map(t => [t.path.join('.'), t]));
+  const merged = base.map(t => byPath.get(t.path.join('.')) || t);
+  const basePaths = new Set(base.map(t => t.path.join('.')));
+  merged.push(...overrides.filter(t => !basePaths.has(t.path.join('.'))));
+  return merged;
+}
+
+/**
+ * Build one brand as a complete token set: { name, results, modes }.
+ */
+function loadBrand(source, name) {
+  const brandSource = { ...source, deprecated: new Map(), modes: new Map() };
+  const { generators } = buildThreeTierGenerators(brandSource, name);
+  const collected = collectResults(generators, brandSource);
+  const modes = resolveModes(collected, brandSource.modes, source.warn);
+  const { results } = applyDeprecations(applyModeFallbacks(collected, modes), brandSource.deprecated, source.warn);
+  return { name, results: addTonalScales(applyGamutFallbacks(results, source.warn)), modes };
+}
+
+/**
+ * Generator results holding only what a brand changes: lines whose property
+ * is new or has a different value than in the base, per block, and the
+ * matching OKLCH and Display-P3 entries.
+ */
+function brandDelta(baseResults, brandResults) {
+  const valuesOf = (lines) => new Map((lines || []).map(parseCssVarLine).filter(Boolean).map(v => [v.name, v.value]));
+  const changed = (brandLines, baseLines) => {
+    const base = valuesOf(baseLines);
+    return (brandLines || []).filter(line => {
+      const parsed = parseCssVarLine(line);
+      return parsed && base.get(parsed.name) !== parsed.value;
+    });
+  };
+
+  return brandResults.map(result => {
+    const base = baseResults.find(r => r.name === result.name) || {};
+    const baseColors = new Map((base.oklchColors || []).map(c => [`${c.bucket} ${c.propName}`, c.hex]));
+    const baseP3 = new Map((base.p3Colors || []).map(c => [`${c.bucket} ${c.propName}`, c.p3]));
+    return {
+      name: result.name,
+      root: changed(result.root, base.root),
+      dark: changed(result.dark, base.dark),
+      light: changed(result.light, base.light),
+      modes: Object.fromEntries(Object.entries(result.modes || {})
+        .map(([mode, lines]) => [mode, changed(lines, (base.modes || {})[mode])])),
+      oklchColors: (result.oklchColors || []).filter(c => baseColors.get(`${c.bucket} ${c.propName}`) !== c.hex),
+      p3Colors: (result.p3Colors || []).filter(c => baseP3.get(`${c.bucket} ${c.propName}`) !== c.p3)
+    };
+  });
+}
+
+/**
+ * [data-brand="<brand>"] blocks for every brand, to append to tokens.css.
+ */
+function assembleScopedBrands(baseResults, brands, options) {
+  return brands.map(brand => [
+    `/* Brand: ${brand.name} — overrides for [data-brand="${brand.name}"] */`,
+    '',
+    assemble(brandDelta(baseResults, brand.results), { ...options, scope: `[data-brand="${brand.name}"]` }).trimEnd()
+  ].join('\n')).join('\n\n');
+}
+
+// ============================================================
+// MODERN CSS FEATURES (--modern-css flag)
+// ============================================================
+// Progressive enhancement: appended after standard output.
+// - color-mix() for hover/active derived states on accent/action colors
+// - light-dark() for tokens with both dark and light values
+// - @property for typed custom properties (transitions, validation)
+// - Relative color syntax for shade generation (requires --oklch)
+// Browser support: Chrome 111+, Safari 16.4+, Firefox 113+
+
+/**
+ * Detect whether a CSS property name represents an accent or action color
+ * that should get hover/active derived states via color-mix().
+ * Matches: accent-*, modeless-brand, modeless-destructive, modeless-teal, etc.
+ * Excludes shadow colors, overlays, and alpha-variant tokens (e.g. -24 suffix).
+ */
+function isAccentOrActionColor(propName) {
+  // Must be a color property
+  if (!propName.startsWith('color-')) return false;
+  const rest = propName.slice('color-'.length);
+  // Exclude shadow colors
+  if (rest.startsWith('shadow-')) return false;
+  // Exclude overlay colors
+  if (rest.includes('overlay')) return false;
+  // Exclude alpha-variant tokens (e.g. modeless-white-24, modeless-black-24)
+  if (/-([\d]+)$/.test(rest)) return false;
+  // Exclude derived states (accent-teal-hover, see TONAL SCALES)
+  if (/-(hover|active)$/.test(rest)) return false;
+  // Include accent-* tokens
+  if (rest.startsWith('accent-')) return true;
+  // Include modeless brand/destructive/teal (action colors)
+  if (rest.startsWith('modeless-') && !rest.includes('white') && !rest.includes('black')) return true;
+  return false;
+}
+
+/**
+ * Generate @property declarations for typed custom properties.
+ * Colors get syntax '<color>', spacing/sizing get '<length>'.
+ * Returns an array of CSS @property rule strings.
+ */
+function generatePropertyDeclarations(rootVars, darkVars) {
+  const declarations = [];
+  const seen = new Set();
+
+  // Helper: determine syntax type from property name and value
+  function inferSyntax(name, value) {
+    if (name.startsWith('color-')) return '<color>';
+    // shadow-small/medium/large are composite box-shadow values, not typeable
+    if (name.startsWith('shadow-')) return null;
+    if (name.startsWith('size-') || name.startsWith('space-') ||
+        name.startsWith('border-width-') || name.startsWith('blur-')) return '<length>';
+    if (name.startsWith('radius-')) return '<length>';
+    if (name.startsWith('font-size-') || name.startsWith('line-height-')) return '<length>';
+    if (name.startsWith('opacity-')) return '<number>';
+    if (name.startsWith('z-')) return '<integer>';
+    if (name.startsWith('font-weight-')) return '<number>';
+    if (name.startsWith('duration-')) return '<time>';
+    return null; // Skip tokens we can't type (font-family, easing, border-style)
+  }
+
+  // Process root vars first (they provide initial values)
+  const allLines = [...rootVars, ...darkVars];
+  for (const line of allLines) {
+    const parsed = parseCssVarLine(line);
+    if (!parsed) continue;
+    if (seen.has(parsed.name)) continue;
+
+    const syntax = inferSyntax(parsed.name, parsed.value);
+    if (!syntax) continue;
+    // initial-value must be computationally independent, so var() aliases
+    // and rem/em/clamp() lengths (see UNITS AND FLUID TYPOGRAPHY) can't be registered
+    if (parsed.value.includes('var(')) continue;
+    if (syntax === '<length>' && !/^-?[\d.]+px$/.test(parsed.value)) continue;
+
+    seen.add(parsed.name);
+    declarations.push(
+      `@property --${parsed.name} {\n` +
+      `  syntax: '${syntax}';\n` +
+      `  inherits: true;\n` +
+      `  initial-value: ${parsed.value};\n` +
+      `}`
+    );
+  }
+
+  return declarations;
+}
+
+/**
+ * Generate color-mix() derived states for accent/action colors.
+ * Produces hover (90% with white) and active (80% with black) variants.
+ * Returns { root: [], dark: [], light: [] } with cssVar lines.
+ */
+function generateColorMixVars(rootVars, darkVars, lightVars) {
+  const result = { root: [], dark: [], light: [] };
+
+  function processVars(vars, bucket) {
+    for (const line of vars) {
+      const match = line.match(/^\s*--(color-[^:]+):\s*(.+);$/);
+      if (!match) continue;
+      const propName = match[1];
+      if (!isAccentOrActionColor(propName)) continue;
+      // Precomputed from the tonal scale instead
+      if (TONAL_SCALE_COLORS.test(propName) && tonalScale(match[2])) continue;
+
+      result[bucket].push(
+        `  --${propName}-hover: color-mix(in oklch, var(--${propName}) 90%, white);`
+      );
+      result[bucket].push(
+        `  --${propName}-active: color-mix(in oklch, var(--${propName}) 80%, black);`
+      );
+    }
+  }
+
+  processVars(rootVars, 'root');
+  processVars(darkVars, 'dark');
+  processVars(lightVars, 'light');
+
+  return result;
+}
+
+/**
+ * Generate light-dark() declarations for tokens that exist in both dark and light.
+ * Returns an array of cssVar lines for :root.
+ * Requires color-scheme: light dark on :root.
+ */
+function generateLightDarkVars(darkVars, lightVars) {
+  const lines = [];
+
+  // Build maps: propName -> value for each mode
+  const darkMap = {};
+  const lightMap = {};
+
+  for (const line of darkVars) {
+    const match = line.match(/^\s*--([^:]+):\s*(.+);$/);
+    if (match) darkMap[match[1]] = match[2];
+  }
+  for (const line of lightVars) {
+    const match = line.match(/^\s*--([^:]+):\s*(.+);$/);
+    if (match) lightMap[match[1]] = match[2];
+  }
+
+  // Emit light-dark() only for color properties that exist in both modes.
+  // light-dark() is a CSS color function — not valid for non-color values like box-shadow.
+  for (const prop of Object.keys(darkMap)) {
+    if (!lightMap[prop]) continue;
+    if (!prop.startsWith('color-')) continue;
+    // Deprecated aliases already follow their replacement's light-dark()
+    if (darkMap[prop].startsWith('var(')) continue;
+    // light-dark() takes (light-value, dark-value)
+    lines.push(`  --${prop}: light-dark(${lightMap[prop]}, ${darkMap[prop]});`);
+  }
+
+  return lines;
+}
+
+/**
+ * Generate relative color syntax shade variants for accent/action colors.
+ * Only active when both --modern-css and --oklch are enabled.
+ * Produces lighter (L * 1.2) and darker (L * 0.8) variants.
+ * Returns { root: [], dark: [], light: [] } with cssVar lines.
+ */
+function generateRelativeColorVars(rootVars, darkVars, lightVars) {
+  const result = { root: [], dark: [], light: [] };
+
+  function processVars(vars, bucket) {
+    for (const line of vars) {
+      const match = line.match(/^\s*--(color-[^:]+):\s*(.+);$/);
+      if (!match) continue;
+      const propName = match[1];
+      if (!isAccentOrActionColor(propName)) continue;
+
+      result[bucket].push(
+        `  --${propName}-lighter: oklch(from var(--${propName}) calc(l * 1.2) c h);`
+      );
+      result[bucket].push(
+        `  --${propName}-darker: oklch(from var(--${propName}) calc(l * 0.8) c h);`
+      );
+    }
+  }
+
+  processVars(rootVars, 'root');
+  processVars(darkVars, 'dark');
+  processVars(lightVars, 'light');
+
+  return result;
+}
+
+// ============================================================
+// UNITS AND FLUID TYPOGRAPHY (units, rootSize, fluid options)
+// ============================================================
+// Token sources are authored in px. For tokens.css, "units": "rem" (or
+// "em") divides sizing, spacing, font sizes and line heights by rootSize
+// (default 16) so they follow the user's browser font size; at the default
+// root size they render exactly as the px values do. Radii, borders, blur
+// and shadows stay in px.
+//
+// "fluid" turns the heading font sizes and line heights into clamp()s that
+// grow from the token value at minViewport to maxScale × the token value at
+// maxViewport, so they never get smaller than designed. true uses
+// FLUID_DEFAULTS; an object overrides any of them.
+// The other outputs (tokens.js, Sass, native) keep px.
+
+const UNITS = ['px', 'rem', 'em'];
+const DEFAULT_ROOT_SIZE = 16;
+const FLUID_DEFAULTS = { minViewport: 360, maxViewport: 1280, maxScale: 1.25 };
+const SCALABLE_LENGTHS = /^(size|space|font-size|line-height)-/;
+const FLUID_LENGTHS = /^(font-size|line-height)-heading-/;
+
+/**
+ * Check the units, rootSize and fluid options. Returns an error message or null.
+ */
+function checkUnitOptions({ units = 'px', rootSize = DEFAULT_ROOT_SIZE, fluid = false } = {}) {
+  if (!UNITS.includes(units)) return `unknown units "${units}" (expected ${UNITS.join(', ')})`;
+  if (!(typeof rootSize === 'number' && rootSize > 0)) {
+    return `rootSize must be a positive number of px (got ${typeof rootSize === 'number' ? rootSize : JSON.stringify(rootSize)})`;
+  }
+  if (fluid === false || fluid === true) return null;
+  if (typeof fluid !== 'object' || fluid === null) return `fluid must be true, false or { minViewport, maxViewport, maxScale }`;
+  const { minViewport, maxViewport, maxScale } = { ...FLUID_DEFAULTS, ...fluid };
+  if (!(minViewport > 0 && maxViewport > minViewport)) {
+    return `fluid viewports must satisfy 0 < minViewport < maxViewport (got ${minViewport}, ${maxViewport})`;
+  }
+  if (!(maxScale >= 1)) return `fluid maxScale must be 1 or more (got ${maxScale})`;
+  return null;
+}
+
+/**
+ * A px length in the requested units, e.g. 14 → "0.875rem" at root size 16.
+ */
+function formatLength(px, units, rootSize) {
+  return units === 'px' ? `${round(px, 4)}px` : `${round(px / rootSize, 4)}${units}`;
+}
+
+/**
+ * clamp() from px at minViewport to maxScale × px at maxViewport.
+ * The preferred value is linear in vw, with its intercept in the requested
+ * units so it still follows the root font size.
+ */
+function fluidLength(px, units, rootSize, fluid) {
+  const { minViewport, maxViewport, maxScale } = { ...FLUID_DEFAULTS, ...(fluid === true ? {} : fluid) };
+  const max = px * maxScale;
+  const slope = (max - px) / (maxViewport - minViewport);
+  const intercept = px - slope * minViewport;
+  if (slope === 0) return formatLength(px, units, rootSize);
+  return `clamp(${formatLength(px, units, rootSize)}, ` +
+    `${formatLength(intercept, units, rootSize)} + ${round(slope * 100, 4)}vw, ${formatLength(max, units, rootSize)})`;
+}
+
+/**
+ * Generator results with px sizing/spacing/typography values rewritten for
+ * options.units and options.fluid. Returns results unchanged with the defaults.
+ */
+function applyUnits(results, { units = 'px', rootSize = DEFAULT_ROOT_SIZE, fluid = false } = {}) {
+  if (units === 'px' && !fluid) return results;
+
+  const convert = (line) => {
+    const parsed = parseCssVarLine(line);
+    const px = parsed && parsed.value.match(/^(-?\d*\.?\d+)px$/);
+    if (!px || !SCALABLE_LENGTHS.test(parsed.name)) return line;
+    const value = fluid && FLUID_LENGTHS.test(parsed.name)
+      ? fluidLength(Number(px[1]), units, rootSize, fluid)
+      : formatLength(Number(px[1]), units, rootSize);
+    return cssVar(parsed.name, value);
+  };
+
+  return results.map(result => ({
+    ...result,
+    root: (result.root || []).map(convert),
+    dark: (result.dark || []).map(convert),
+    light: (result.light || []).map(convert),
+    modes: Object.fromEntries(Object.entries(result.modes || {}).map(([mode, lines]) => [mode, lines.map(convert)]))
+  }));
+}
+
+// ============================================================
+// SELECTOR SCOPING (layer, themeAttribute, container options)
+// ============================================================
+// For embedding tokens.css in pages that aren't ours:
+//   layer          — wrap everything in @layer airtime.tokens { … } (true) or a
+//                    named layer, so host-page styles outside layers win
+//   themeAttribute — [data-airtime-theme="dark"] instead of .dark, .light and
+//                    .<mode> (modes with their own selector keep it)
+//   container      — a selector such as .airtime-widget that every block is
+//                    narrowed to, with the theme on it or on an ancestor;
+//                    ":host" scopes to a shadow root's host element, with
+//                    the theme on the host (:host(.dark))
+// The prefers-color-scheme, media mode, OKLCH, Display-P3 and modern CSS
+// blocks use the same selectors.
+
+const DEFAULT_LAYER = 'airtime.tokens';
+const LAYER_NAME = /^-?[a-zA-Z_][\w-]*(\.-?[a-zA-Z_][\w-]*)*$/;
+const ATTRIBUTE_NAME = /^[a-zA-Z_][\w.-]*$/;
+
+/**
+ * Check the layer, themeAttribute and container options. Returns an error
+ * message or null.
+ */
+function checkScopeOptions({ layer = false, themeAttribute = null, container = null } = {}) {
+  if (layer !== false && layer !== true && !(typeof layer === 'string' && LAYER_NAME.test(layer))) {
+    return `layer must be true or a layer name such as "${DEFAULT_LAYER}" (got ${JSON.stringify(layer)})`;
+  }
+  if (themeAttribute !== null && !(typeof themeAttribute === 'string' && ATTRIBUTE_NAME.test(themeAttribute))) {
+    return `themeAttribute must be an attribute name such as "data-airtime-theme" (got ${JSON.stringify(themeAttribute)})`;
+  }
+  if (container !== null && !(typeof container === 'string' && container.trim())) {
+    return `container must be a selector such as ".airtime-widget" or ":host" (got ${JSON.stringify(container)})`;
+  }
+  return null;
+}
+
+/**
+ * Narrow a selector (list) to elements matching scope: :root becomes the
+ * scope itself, anything else matches on the scoped element or an ancestor.
+ *   .dark → .dark[data-brand="x"], .dark [data-brand="x"]
+ *   :host(.dark) → :host(.dark[data-brand="x"]), :host(.dark) [data-brand="x"]
+ */
+function scopeSelector(selector, scope) {
+  if (!scope) return selector;
+  return selector.split(/,\s*/).flatMap(s => {
+    if (s === ':root') return [scope];
+    const host = s.match(/^:host(?:\((.*)\))?$/);
+    if (host) return [`:host(${host[1] || ''}${scope})`, `${s} ${scope}`];
+    return [`${s}${scope}`, `${s} ${scope}`];
+  }).join(', ');
+}
+
+/**
+ * Apply options.container to a selector (list). ":host" puts the selector
+ * on the shadow host: :root → :host, .dark → :host(.dark).
+ */
+function containerSelector(selector, container) {
+  if (!container) return selector;
+  if (container.trim() !== ':host') return scopeSelector(selector, container.trim());
+  return selector.split(/,\s*/).map(s => {
+    if (s === ':root') return ':host';
+    return `:host(${s.replace(/^:root/, '')})`;
+  }).join(', ');
+}
+
+// ============================================================
+// ASSEMBLY (shared between all pipelines)
+// ============================================================
+
+// Comment syntax per banner style: block (CSS/JS/TS), line (Sass/Less/Swift/Kotlin), xml
+const BANNER_COMMENTS = {
+  block: l => `/* ${l} */`,
+  line: l => `// ${l}`,
+  xml: l => `<!-- ${l} -->`
+};
+
+/**
+ * Header comment shared by every generated file.
+ * Preprocessor outputs use line comments so the banner isn't copied into
+ * compiled CSS.
+ */
+function generatedBanner(filename, source, style = 'block') {
+  const lines = [
+    `${filename} — Generated from ${source}`,
+    `Do not edit manually. Run: node scripts/generate.js`,
+    `Generated: ${new Date().toISOString().split('T')[0]}`
+  ];
+  return lines.map(BANNER_COMMENTS[style]).join('\n');
+}
+
+/**
+ * Run every generator once and keep its result alongside the category name.
+ * All output targets (CSS, JS, ...) are built from this same list so they
+ * can never disagree on a resolved value.
+ */
+function collectResults(generators, source) {
+  return generators.map(({ name, fn }) => ({ name, ...fn(source) }));
+}
+
+/**
+ * Assemble tokens.css from collected generator results.
+ * options.oklch adds the OKLCH @supports overrides; options.modernCss adds
+ * the progressive-enhancement section; options.modes (loadTokens().modes)
+ * adds a block per extra theme mode. options.scope (e.g. [data-brand="x"])
+ * narrows every block to that element and its descendants and leaves out
+ * the banner, empty blocks and the page-wide @property and light-dark()
+ * declarations, for appending to an unscoped tokens.css. options.units,
+ * rootSize and fluid rewrite px lengths (see UNITS AND FLUID TYPOGRAPHY);
+ * options.layer, themeAttribute and container scope the output for
+ * embedding (see SELECTOR SCOPING).
+ */
+function assemble(results, options = {}) {
+  const { oklch: oklchEnabled = false, modernCss: modernCssEnabled = false, modes = [], scope = null } = options;
+  const { layer = false, themeAttribute = null, container = null } = options;
+  results = applyUnits(results, options);
+  const rootVars = [];
+  const lightVars = [];
+  const darkVars = [];
+  // Extra theme modes (see THEME MODES): mode name → vars
+  const modeVars = Object.fromEntries(modes.map(m => [m.name, []]));
+  // Collect all OKLCH color entries from color generators
+  const allOklchColors = [];
+  // Wide-gamut colors (see WIDE-GAMUT COLORS)
+  const allP3Colors = [];
+
+  for (const result of results) {
+    const { name } = result;
+
+    if (result.root && result.root.length) {
+      rootVars.push(`\n  /* ${name} */`);
+      rootVars.push(...result.root);
+    }
+    if (result.light && result.light.length) {
+      lightVars.push(`\n  /* ${name} */`);
+      lightVars.push(...result.light);
+    }
+    if (result.dark && result.dark.length) {
+      darkVars.push(`\n  /* ${name} */`);
+      darkVars.push(...result.dark);
+    }
+    for (const mode of modes) {
+      const lines = (result.modes || {})[mode.name];
+      if (lines && lines.length) {
+        modeVars[mode.name].push(`\n  /* ${name} */`);
+        modeVars[mode.name].push(...lines);
+      }
+    }
+    if (result.oklchColors && result.oklchColors.length) {
+      allOklchColors.push(...result.oklchColors);
+    }
+    if (result.p3Colors) allP3Colors.push(...result.p3Colors);
+  }
+
+  const sections = [];
+
+  // Theme selectors: .dark, or [data-airtime-theme="dark"] with options.themeAttribute
+  const themeSelector = (name, selector = `.${name}`) =>
+    themeAttribute && selector === `.${name}` ? `[${themeAttribute}="${name}"]` : selector;
+  const dark = themeSelector('dark');
+  const light = themeSelector('light');
+  const modeSelector = (mode) => themeSelector(mode.name, mode.selector);
+
+  // Selector for a block, narrowed to options.container and then options.scope
+  // (see SELECTOR SCOPING): .dark → .dark[data-brand="x"], .dark [data-brand="x"]
+  const sel = (selector) => scopeSelector(containerSelector(selector, container), scope);
+  const block = (selector, vars) => {
+    if (scope && vars.length === 0) return;
+    sections.push(`${sel(selector)} {${vars.join('\n')}\n}\n`);
+  };
+
+  block(':root', rootVars);
+  block(dark, darkVars);
+  block(light, lightVars);
+  for (const mode of modes) {
+    block(modeSelector(mode), modeVars[mode.name]);
+  }
+
+  const nestIndent = (vars) => vars.join('\n').split('\n').map(l => l ? '  ' + l : l).join('\n');
+  // Root when no theme class is set, e.g. :root:not(.dark):not(.light). A
+  // container needs no theme on itself or any ancestor: :not(.dark):not(.dark *)
+  const themes = [dark, light, ...modes.map(modeSelector)];
+  const unthemed = container && container.trim() !== ':host'
+    ? scopeSelector(container.trim() + themes.map(t => `:not(${t}):not(${t} *)`).join(''), scope)
+    : sel(':root' + themes.map(t => `:not(${t})`).join(''));
+  const mediaModes = modes.filter(m => m.media && (!scope || modeVars[m.name].length > 0));
+
+  if (!scope || darkVars.length > 0 || lightVars.length > 0) {
+    sections.push(`/* OS preference fallback (when no .dark/.light class is set) */`);
+    if (!scope || darkVars.length > 0) {
+      sections.push(`@media (prefers-color-scheme: dark) {\n  ${unthemed} {${nestIndent(darkVars)}\n  }\n}\n`);
+    }
+    if (!scope || lightVars.length > 0) {
+      sections.push(`@media (prefers-color-scheme: light) {\n  ${unthemed} {${nestIndent(lightVars)}\n  }\n}`);
+    }
+  }
+  for (const mode of mediaModes) {
+    sections.push('');
+    sections.push(`/* ${mode.name} preference fallback (when no theme class is set) */`);
+    sections.push(`@media ${mode.media} {\n  ${unthemed} {${nestIndent(modeVars[mode.name])}\n  }\n}`);
+  }
+
+  // --- OKLCH @supports block ---
+  if (oklchEnabled && allOklchColors.length > 0) {
+    sections.push('');
+    sections.push(`/* OKLCH color space — perceptually uniform, wider gamut */`);
+    sections.push(`/* Hex fallbacks above; OKLCH overrides below for supporting browsers */`);
+
+    // Group colors by bucket
+    const byBucket = { root: [], dark: [], light: [] };
+    for (const mode of modes) byBucket[mode.name] = [];
+    for (const c of allOklchColors) {
+      if (byBucket[c.bucket]) byBucket[c.bucket].push(c);
+    }
+
+    const supportsLines = [];
+    supportsLines.push(`@supports (color: oklch(0% 0 0)) {`);
+
+    // :root — shared/modeless colors
+    if (byBucket.root.length > 0) {
+      supportsLines.push(`  ${sel(':root')} {`);
+      for (const c of byBucket.root) {
+        supportsLines.push(`    --${c.propName}: ${c.oklch};`);
+        supportsLines.push(`    --${c.propName}-hex: ${c.hex};`);
+      }
+      supportsLines.push(`  }\n`);
+    }
+
+    // .dark
+    if (byBucket.dark.length > 0) {
+      supportsLines.push(`  ${sel(dark)} {`);
+      for (const c of byBucket.dark) {
+        supportsLines.push(`    --${c.propName}: ${c.oklch};`);
+        supportsLines.push(`    --${c.propName}-hex: ${c.hex};`);
+      }
+      supportsLines.push(`  }\n`);
+    }
+
+    // .light
+    if (byBucket.light.length > 0) {
+      supportsLines.push(`  ${sel(light)} {`);
+      for (const c of byBucket.light) {
+        supportsLines.push(`    --${c.propName}: ${c.oklch};`);
+        supportsLines.push(`    --${c.propName}-hex: ${c.hex};`);
+      }
+      supportsLines.push(`  }\n`);
+    }
+
+    // Extra theme modes
+    for (const mode of modes.filter(m => byBucket[m.name].length > 0)) {
+      supportsLines.push(`  ${sel(modeSelector(mode))} {`);
+      for (const c of byBucket[mode.name]) {
+        supportsLines.push(`    --${c.propName}: ${c.oklch};`);
+        supportsLines.push(`    --${c.propName}-hex: ${c.hex};`);
+      }
+      supportsLines.push(`  }\n`);
+    }
+
+    // OS preference fallbacks inside @supports
+    if (byBucket.dark.length > 0) {
+      supportsLines.push(`  @media (prefers-color-scheme: dark) {`);
+      supportsLines.push(`    ${unthemed} {`);
+      for (const c of byBucket.dark) {
+        supportsLines.push(`      --${c.propName}: ${c.oklch};`);
+        supportsLines.push(`      --${c.propName}-hex: ${c.hex};`);
+      }
+      supportsLines.push(`    }`);
+      supportsLines.push(`  }\n`);
+    }
+
+    if (byBucket.light.length > 0) {
+      supportsLines.push(`  @media (prefers-color-scheme: light) {`);
+      supportsLines.push(`    ${unthemed} {`);
+      for (const c of byBucket.light) {
+        supportsLines.push(`      --${c.propName}: ${c.oklch};`);
+        supportsLines.push(`      --${c.propName}-hex: ${c.hex};`);
+      }
+      supportsLines.push(`    }`);
+      supportsLines.push(`  }`);
+    }
+
+    for (const mode of mediaModes.filter(m => byBucket[m.name].length > 0)) {
+      supportsLines.push('');
+      supportsLines.push(`  @media ${mode.media} {`);
+      supportsLines.push(`    ${unthemed} {`);
+      for (const c of byBucket[mode.name]) {
+        supportsLines.push(`      --${c.propName}: ${c.oklch};`);
+        supportsLines.push(`      --${c.propName}-hex: ${c.hex};`);
+      }
+      supportsLines.push(`    }`);
+      supportsLines.push(`  }`);
+    }
+
+    supportsLines.push(`}`);
+    sections.push(supportsLines.join('\n'));
+  }
+
+  // --- Display-P3 overrides for colors outside sRGB ---
+  if (allP3Colors.length > 0) {
+    sections.push('');
+    sections.push(`/* Display-P3 — wide-gamut colors authored outside sRGB */`);
+    sections.push(`/* Gamut-mapped hex fallbacks above; P3 overrides below for wide-gamut screens */`);
+
+    const byBucket = { root: [], dark: [], light: [] };
+    for (const mode of modes) byBucket[mode.name] = [];
+    for (const c of allP3Colors) {
+      if (byBucket[c.bucket]) byBucket[c.bucket].push(c);
+    }
+    const rule = (selector, colors, indent) => [
+      `${indent}${selector} {`,
+      ...colors.map(c => `${indent}  --${c.propName}: ${c.p3};`),
+      `${indent}}`
+    ].join('\n');
+
+    const rules = [
+      [':root', byBucket.root],
+      [dark, byBucket.dark],
+      [light, byBucket.light],
+      ...modes.map(mode => [modeSelector(mode), byBucket[mode.name]])
+    ].filter(([, colors]) => colors.length > 0).map(([selector, colors]) => rule(sel(selector), colors, '    '));
+
+    // OS preference fallbacks, as in the hex blocks
+    const media = [
+      ['(prefers-color-scheme: dark)', byBucket.dark],
+      ['(prefers-color-scheme: light)', byBucket.light],
+      ...mediaModes.map(mode => [mode.media, byBucket[mode.name]])
+    ].filter(([, colors]) => colors.length > 0)
+      .map(([query, colors]) => `    @media ${query} {\n${rule(unthemed, colors, '      ')}\n    }`);
+
+    sections.push([
+      `@media (color-gamut: p3) {`,
+      `  @supports (color: color(display-p3 0 0 0)) {`,
+      [...rules, ...media].join('\n\n'),
+      `  }`,
+      `}`
+    ].join('\n'));
+  }
+
+  // --- Modern CSS progressive enhancement (--modern-css flag) ---
+  if (modernCssEnabled) {
+    sections.push('');
+    sections.push(`/* Modern CSS — progressive enhancement */`);
+    sections.push(`/* Browser support: Chrome 111+, Safari 16.4+, Firefox 113+ */`);
+
+    // 1. @property declarations (top of modern section — unsupported browsers ignore them)
+    const propertyDecls = scope ? [] : generatePropertyDeclarations(rootVars, darkVars);
+    if (propertyDecls.length > 0) {
+      sections.push('');
+      sections.push(`/* @property — typed custom properties (enables transitions, validation) */`);
+      sections.push(propertyDecls.join('\n\n'));
+    }
+
+    // 2. color-mix() for hover/active derived states
+    const colorMix = generateColorMixVars(rootVars, darkVars, lightVars);
+    // Extra modes reuse the dark bucket: generateColorMixVars([], vars, []).dark
+    const modeColorMix = modes
+      .map(mode => ({ mode, lines: generateColorMixVars([], modeVars[mode.name], []).dark }))
+      .filter(m => m.lines.length > 0);
+    const hasColorMix = colorMix.root.length > 0 || colorMix.dark.length > 0 || colorMix.light.length > 0 || modeColorMix.length > 0;
+    if (hasColorMix) {
+      sections.push('');
+      sections.push(`/* color-mix() — runtime hover/active derived states */`);
+      const cmLines = [];
+      cmLines.push(`@supports (color: color-mix(in oklch, red, blue)) {`);
+      if (colorMix.root.length > 0) {
+        cmLines.push(`  ${sel(':root')} {`);
+        cmLines.push(...colorMix.root.map(l => '  ' + l));
+        cmLines.push(`  }\n`);
+      }
+      if (colorMix.dark.length > 0) {
+        cmLines.push(`  ${sel(dark)} {`);
+        cmLines.push(...colorMix.dark.map(l => '  ' + l));
+        cmLines.push(`  }\n`);
+      }
+      if (colorMix.light.length > 0) {
+        cmLines.push(`  ${sel(light)} {`);
+        cmLines.push(...colorMix.light.map(l => '  ' + l));
+        cmLines.push(`  }`);
+      }
+      for (const { mode, lines } of modeColorMix) {
+        cmLines.push('');
+        cmLines.push(`  ${sel(modeSelector(mode))} {`);
+        cmLines.push(...lines.map(l => '  ' + l));
+        cmLines.push(`  }`);
+      }
+      cmLines.push(`}`);
+      sections.push(cmLines.join('\n'));
+    }
+
+    // 3. light-dark() for theme values
+    const lightDarkLines = scope ? [] : generateLightDarkVars(darkVars, lightVars);
+    if (lightDarkLines.length > 0) {
+      sections.push('');
+      sections.push(`/* light-dark() — single-property theme values (requires color-scheme on :root) */`);
+      const ldLines = [];
+      ldLines.push(`@supports (color: light-dark(red, blue)) {`);
+      ldLines.push(`  ${sel(':root')} {`);
+      ldLines.push(`    color-scheme: light dark;`);
+      ldLines.push(...lightDarkLines.map(l => '  ' + l));
+      ldLines.push(`  }`);
+      ldLines.push(`}`);
+      sections.push(ldLines.join('\n'));
+    }
+
+    // 4. Relative color syntax shade generation (requires --oklch)
+    if (oklchEnabled) {
+      const relColor = generateRelativeColorVars(rootVars, darkVars, lightVars);
+      const modeRelColor = modes
+        .map(mode => ({ mode, lines: generateRelativeColorVars([], modeVars[mode.name], []).dark }))
+        .filter(m => m.lines.length > 0);
+      const hasRelColor = relColor.root.length > 0 || relColor.dark.length > 0 || relColor.light.length > 0 || modeRelColor.length > 0;
+      if (hasRelColor) {
+        sections.push('');
+        sections.push(`/* Relative color syntax — OKLCH shade generation */`);
+        const rcLines = [];
+        rcLines.push(`@supports (color: oklch(from red l c h)) {`);
+        if (relColor.root.length > 0) {
+          rcLines.push(`  ${sel(':root')} {`);
+          rcLines.push(...relColor.root.map(l => '  ' + l));
+          rcLines.push(`  }\n`);
+        }
+        if (relColor.dark.length > 0) {
+          rcLines.push(`  ${sel(dark)} {`);
+          rcLines.push(...relColor.dark.map(l => '  ' + l));
+          rcLines.push(`  }\n`);
+        }
+        if (relColor.light.length > 0) {
+          rcLines.push(`  ${sel(light)} {`);
+          rcLines.push(...relColor.light.map(l => '  ' + l));
+          rcLines.push(`  }`);
+        }
+        for (const { mode, lines } of modeRelColor) {
+          rcLines.push('');
+          rcLines.push(`  ${sel(modeSelector(mode))} {`);
+          rcLines.push(...lines.map(l => '  ' + l));
+          rcLines.push(`  }`);
+        }
+        rcLines.push(`}`);
+        sections.push(rcLines.join('\n'));
+      }
+    }
+  }
+
+  let css = sections.join('\n');
+  if (layer) {
+    const indented = css.split('\n').map(l => l ? '  ' + l : l).join('\n');
+    css = `@layer ${layer === true ? DEFAULT_LAYER : layer} {\n${indented}\n}`;
+  }
+  if (scope) return css;
+  return generatedBanner('tokens.css', 'v2/tokens/*.json') + '\n\n' + css;
+}
+
+// ============================================================
+// JAVASCRIPT / TYPESCRIPT MODULE OUTPUT
+// ============================================================
+// Emits tokens.js (ES module) and tokens.d.ts from the same collected
+// generator results that assemble() turns into tokens.css. Values are the
+// exact strings written to the CSS custom properties, except that var()
+// references (deprecated aliases, font shorthands) are resolved to the value
+// they point at.
+
+/**
+ * Build per-bucket token maps from collected generator results.
+ * Returns { shared, dark, light, modes } where each bucket is an ordered list
+ * of { name, entries: [[tokenName, value], ...] } category groups and modes
+ * maps extra theme mode names (see THEME MODES) to buckets of the same shape.
+ */
+function buildTokenMaps(results) {
+  const maps = { shared: [], dark: [], light: [], modes: {} };
+  const buckets = { shared: 'root', dark: 'dark', light: 'light' };
+  const toEntries = (lines) => lines.map(parseCssVarLine).filter(Boolean).map(v => [v.name, v.value]);
+
+  for (const result of results) {
+    for (const [bucket, key] of Object.entries(buckets)) {
+      const entries = toEntries(result[key] || []);
+      if (entries.length > 0) maps[bucket].push({ name: result.name, entries });
+    }
+    for (const [mode, lines] of Object.entries(result.modes || {})) {
+      const entries = toEntries(lines);
+      if (entries.length > 0) (maps.modes[mode] = maps.modes[mode] || []).push({ name: result.name, entries });
+    }
+  }
+
+  // Resolve "var(--name)" references (whole-value aliases and the parts of
+  // font shorthands) within the same theme, falling back to shared
+  const themes = { shared: maps.shared, dark: maps.dark, light: maps.light, ...maps.modes };
+  const values = {};
+  for (const [theme, groups] of Object.entries(themes)) {
+    values[theme] = new Map(groups.flatMap(group => group.entries));
+  }
+  const resolve = (value, theme, seen) => value.replace(/var\(--([^),]+)\)/g, (ref, name) => {
+    const target = values[theme].get(name) ?? values.shared.get(name);
+    if (target === undefined || seen.has(name)) return ref;
+    return resolve(target, theme, new Set([...seen, name]));
+  });
+  for (const [theme, groups] of Object.entries(themes)) {
+    for (const group of groups) {
+      for (const entry of group.entries) entry[1] = resolve(entry[1], theme, new Set());
+    }
+  }
+
+  return maps;
+}
+
+/**
+ * Render one bucket as a frozen object literal, keeping the CSS category comments.
+ */
+function jsObjectLiteral(groups) {
+  const lines = [];
+  for (const { name, entries } of groups) {
+    lines.push(`\n  // ${name}`);
+    for (const [key, value] of entries) {
+      lines.push(`  ${JSON.stringify(key)}: ${JSON.stringify(value)},`);
+    }
+  }
+  return `Object.freeze({${lines.join('\n')}\n})`;
+}
+
+function generateJSModule(maps) {
+  const sections = [];
+
+  sections.push(generatedBanner('tokens.js', 'tokens/*.json') + '\n');
+  sections.push(`/** Theme-independent tokens (:root). */`);
+  sections.push(`export const shared = ${jsObjectLiteral(maps.shared)};\n`);
+  sections.push(`/** Dark theme tokens (.dark). */`);
+  sections.push(`export const dark = ${jsObjectLiteral(maps.dark)};\n`);
+  sections.push(`/** Light theme tokens (.light). */`);
+  sections.push(`export const light = ${jsObjectLiteral(maps.light)};\n`);
+
+  const modeNames = Object.keys(maps.modes || {});
+  if (modeNames.length > 0) {
+    const entries = modeNames.map(mode => `  ${JSON.stringify(mode)}: ${jsObjectLiteral(maps.modes[mode]).replace(/\n(?=.)/g, '\n  ')}`);
+    sections.push(`/** Additional theme modes, complete with values inherited from each mode's base. */`);
+    sections.push(`export const modes = Object.freeze({\n${entries.join(',\n')}\n});\n`);
+    sections.push(`export const tokens = Object.freeze({ shared, dark, light, modes });\n`);
+  } else {
+    sections.push(`export const tokens = Object.freeze({ shared, dark, light });\n`);
+  }
+  sections.push(`export default tokens;`);
+
+  return sections.join('\n');
+}
+
+/**
+ * Render one bucket as a readonly object type with string values.
+ */
+function tsObjectType(groups) {
+  const lines = [];
+  for (const { name, entries } of groups) {
+    lines.push(`\n  // ${name}`);
+    for (const [key] of entries) {
+      lines.push(`  readonly ${JSON.stringify(key)}: string;`);
+    }
+  }
+  return `{${lines.join('\n')}\n}`;
+}
+
+function generateTypeDeclarations(maps) {
+  const sections = [];
+
+  sections.push(generatedBanner('tokens.d.ts', 'tokens/*.json') + '\n');
+  sections.push(`export declare const shared: ${tsObjectType(maps.shared)};\n`);
+  sections.push(`export declare const dark: ${tsObjectType(maps.dark)};\n`);
+  sections.push(`export declare const light: ${tsObjectType(maps.light)};\n`);
+
+  const modeNames = Object.keys(maps.modes || {});
+  if (modeNames.length > 0) {
+    const entries = modeNames.map(mode => `  readonly ${JSON.stringify(mode)}: ${tsObjectType(maps.modes[mode]).replace(/\n(?=.)/g, '\n  ')};`);
+    sections.push(`export declare const modes: {\n${entries.join('\n')}\n};\n`);
+  }
+  sections.push(`export type ThemeName = ${['dark', 'light', ...modeNames].map(m => `'${m}'`).join(' | ')};`);
+  sections.push(`export type SharedTokenName = keyof typeof shared;`);
+  sections.push(`export type ThemedTokenName = keyof typeof dark;`);
+  sections.push(`export type TokenName = SharedTokenName | ThemedTokenName;\n`);
+  sections.push(`export declare const tokens: {`);
+  sections.push(`  readonly shared: typeof shared;`);
+  sections.push(`  readonly dark: typeof dark;`);
+  sections.push(`  readonly light: typeof light;`);
+  if (modeNames.length > 0) sections.push(`  readonly modes: typeof modes;`);
+  sections.push(`};\n`);
+  sections.push(`export default tokens;`);
+
+  return sections.join('\n');
+}
+
+// ============================================================
+// SCSS / LESS OUTPUT (--scss, --less flags)
+// ============================================================
+// Compile-time variables for Sass and Less consumers that can't use custom
+// properties (media queries, math). Built from the same token maps as
+// tokens.js: shared tokens become plain variables, themed tokens become one
+// map per theme. Category comments match tokens.css.
+
+/**
+ * True if a value contains a comma outside of parentheses (e.g. a font stack).
+ * Such values must be parenthesized inside a Sass map.
+ */
+function hasTopLevelComma(value) {
+  let depth = 0;
+  for (const ch of String(value)) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    else if (ch === ',' && depth === 0) return true;
+  }
+  return false;
+}
+
+function generateSCSS(maps) {
+  const sections = [];
+
+  sections.push(generatedBanner('_tokens.scss', 'tokens/*.json', 'line') + '\n');
+  // sass:map module functions; the global map-get() is deprecated in Dart Sass
+  sections.push(`@use 'sass:map';\n`);
+
+  const shared = [];
+  for (const { name, entries } of maps.shared) {
+    shared.push(`// ${name}`);
+    for (const [key, value] of entries) shared.push(`$${key}: ${value};`);
+    shared.push('');
+  }
+  sections.push(shared.join('\n'));
+
+  for (const theme of ['dark', 'light']) {
+    const lines = [`// ${theme} theme`, `$tokens-${theme}: (`];
+    for (const { name, entries } of maps[theme]) {
+      lines.push(`  // ${name}`);
+      for (const [key, value] of entries) {
+        const scssValue = hasTopLevelComma(value) ? `(${value})` : value;
+        lines.push(`  '${key}': ${scssValue},`);
+      }
+    }
+    lines.push(`);\n`);
+    sections.push(lines.join('\n'));
+  }
+
+  sections.push(`$themes: (`);
+  sections.push(`  'dark': $tokens-dark,`);
+  sections.push(`  'light': $tokens-light,`);
+  sections.push(`);\n`);
+
+  sections.push(`// Look up a themed token at compile time, e.g. theme-token('color-accent-teal', 'light')`);
+  sections.push(`@function theme-token($name, $theme: 'dark') {`);
+  sections.push(`  @return map.get($themes, $theme, $name);`);
+  sections.push(`}`);
+
+  return sections.join('\n');
+}
+
+function generateLess(maps) {
+  const sections = [];
+
+  sections.push(generatedBanner('tokens.less', 'tokens/*.json', 'line') + '\n');
+
+  const shared = [];
+  for (const { name, entries } of maps.shared) {
+    shared.push(`// ${name}`);
+    for (const [key, value] of entries) shared.push(`@${key}: ${value};`);
+    shared.push('');
+  }
+  sections.push(shared.join('\n'));
+
+  // Less 3.5+ maps: detached rulesets, read with @tokens-dark[color-accent-teal]
+  for (const theme of ['dark', 'light']) {
+    const lines = [`// ${theme} theme`, `@tokens-${theme}: {`];
+    for (const { name, entries } of maps[theme]) {
+      lines.push(`  // ${name}`);
+      for (const [key, value] of entries) lines.push(`  ${key}: ${value};`);
+    }
+    lines.push(`}\n`);
+    sections.push(lines.join('\n'));
+  }
+
+  return sections.join('\n').replace(/\n+$/, '');
+}
+
+// ============================================================
+// TAILWIND PRESET OUTPUT (--tailwind flag)
+// ============================================================
+// Emits a Tailwind CSS preset (CommonJS) from the same token maps as tokens.js.
+// Themed tokens (colors, shadows) point at their custom properties so the
+// .dark/.light classes keep switching them; shared tokens use literal values.
+// The scales replace Tailwind's defaults rather than extending them, so
+// off-system values (indigo-500, rounded-lg, p-3.5) are simply unavailable.
+
+/**
+ * Flatten groups into a name → value map.
+ */
+function flattenGroups(groups) {
+  const map = {};
+  for (const { entries } of groups) {
+    for (const [key, value] of entries) map[key] = value;
+  }
+  return map;
+}
+
+/**
+ * Entries whose name starts with prefix, as [remainder, value] pairs in token order.
+ * mapValue(name, value) produces the output value.
+ */
+function prefixedEntries(map, prefix, mapValue = (name, value) => value) {
+  return Object.entries(map)
+    .filter(([name]) => name.startsWith(prefix))
+    .map(([name, value]) => [name.slice(prefix.length), mapValue(name, value)]);
+}
+
+/**
+ * Object form of prefixedEntries(). Note that integer-like keys ("0", "10")
+ * are reordered ahead of others ("05") by JS object semantics.
+ */
+function pickPrefixed(map, prefix, mapValue) {
+  return Object.fromEntries(prefixedEntries(map, prefix, mapValue));
+}
+
+function generateTailwindPreset(maps) {
+  const shared = flattenGroups(maps.shared);
+  const themed = flattenGroups(maps.dark);
+  const all = { ...shared, ...themed };
+  const varRef = (name) => `var(--${name})`;
+
+  // Colors: color-{group}-{role} → colors.{group}.{role}, all via var()
+  // Shadow colors are only used inside --shadow-* and are not exposed.
+  const colors = { transparent: 'transparent', current: 'currentColor', inherit: 'inherit' };
+  for (const name of Object.keys(all)) {
+    if (!name.startsWith('color-') || name.startsWith('color-shadow-')) continue;
+    const [group, ...role] = name.slice('color-'.length).split('-');
+    if (!colors[group]) colors[group] = {};
+    colors[group][role.join('-')] = varRef(name);
+  }
+
+  // Spacing: size-* and space-* share the same 2px steps (size-20 = space-20 = 8px),
+  // so both collapse into one scale keyed by step: p-20, w-40, gap-10.
+  const spacing = {
+    ...pickPrefixed(shared, 'size-'),
+    ...pickPrefixed(shared, 'space-')
+  };
+
+  const borderRadius = pickPrefixed(shared, 'radius-');
+
+  // Typography composites → fontSize tuples [size, { lineHeight, fontWeight }]
+  const fontSize = {};
+  for (const [style, size] of Object.entries(pickPrefixed(shared, 'font-size-'))) {
+    const options = {};
+    if (shared[`line-height-${style}`]) options.lineHeight = shared[`line-height-${style}`];
+    if (shared[`font-weight-${style}`]) options.fontWeight = shared[`font-weight-${style}`];
+    fontSize[style] = [size, options];
+  }
+
+  const fontFamily = pickPrefixed(shared, 'font-family-');
+  if (fontFamily.primary) fontFamily.sans = fontFamily.primary;
+
+  // Primitive weights only — composite weights are carried by the fontSize tuples
+  const fontWeight = {};
+  for (const [key, value] of Object.entries(pickPrefixed(shared, 'font-weight-'))) {
+    if (!fontSize[key]) fontWeight[key] = value;
+  }
+
+  const boxShadow = { ...pickPrefixed(all, 'shadow-', varRef), none: 'none' };
+  const blur = pickPrefixed(shared, 'blur-');
+
+  const borderWidth = pickPrefixed(shared, 'border-width-');
+  if (borderWidth.thin) borderWidth.DEFAULT = borderWidth.thin;
+
+  const transitionTimingFunction = pickPrefixed(shared, 'easing-');
+  if (transitionTimingFunction.default) {
+    transitionTimingFunction.DEFAULT = transitionTimingFunction.default;
+    delete transitionTimingFunction.default;
+  }
+
+  const preset = {
+    theme: {
+      colors,
+      spacing,
+      borderRadius,
+      fontFamily,
+      fontSize,
+      fontWeight,
+      boxShadow,
+      blur,
+      backdropBlur: blur,
+      borderWidth,
+      opacity: pickPrefixed(shared, 'opacity-'),
+      zIndex: pickPrefixed(shared, 'z-'),
+      transitionDuration: pickPrefixed(shared, 'duration-'),
+      transitionTimingFunction
+    }
+  };
+
+  const sections = [];
+  sections.push(generatedBanner('tailwind.preset.js', 'tokens/*.json') + '\n');
+  sections.push(`// Usage: presets: [require('./generated/tailwind.preset.js')]`);
+  sections.push(`// Requires tokens.css on the page for the var(--color-*) and var(--shadow-*) values.\n`);
+  sections.push(`module.exports = ${JSON.stringify(preset, null, 2)};`);
+
+  return sections.join('\n');
+}
+
+// ============================================================
+// NATIVE PLATFORM OUTPUT (--ios, --android flags)
+// ============================================================
+// Swift (UIKit + SwiftUI) and Android (XML resources + Jetpack Compose)
+// exports built from the same token maps as tokens.js. Covers colors,
+// size/space/radius dimensions and the typography composites; CSS-only
+// tokens (easings, z-index, composed box-shadows) are left out.
+// Dark is the default appearance, matching the web output.
+
+const ANDROID_PACKAGE = 'com.airtime.designsystem';
+
+// CSS font-weight → UIFont.Weight / Font.Weight case names
+const NATIVE_FONT_WEIGHTS = {
+  100: 'ultraLight', 200: 'thin', 300: 'light', 400: 'regular', 500: 'medium',
+  600: 'semibold', 700: 'bold', 800: 'heavy', 900: 'black'
+};
+
+/**
+ * "modeless-white-24" → "modelessWhite24"
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z0-9])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * "background-primary" → "airtime_background_primary" (Android resource name)
+ */
+function toResourceName(name) {
+  return `airtime_${name.replace(/-/g, '_')}`;
+}
+
+/**
+ * Numeric part of a CSS length ("8px" → 8, "0" → 0).
+ */
+function pxNumber(value) {
+  return parseFloat(value);
+}
+
+/**
+ * Absolute line height for native text styles. A unitless DTCG lineHeight
+ * (1.25) is a multiple of the font size, as in CSS.
+ */
+function nativeLineHeight(value, fontSize) {
+  const text = String(value).trim();
+  if (/^\d*\.?\d+$/.test(text)) return Math.round(Number(text) * fontSize * 100) / 100;
+  return pxNumber(text);
+}
+
+/**
+ * Parse a hex color value into RRGGBBAA / AARRGGBB hex digit strings.
+ * Returns null for non-hex colors, which native targets skip.
+ */
+function nativeColorHex(value) {
+  const parsed = parseHex(value);
+  if (!parsed) return null;
+  const [r, g, b, a] = parsed.map(c => c.toString(16).padStart(2, '0').toUpperCase());
+  return { rgba: `${r}${g}${b}${a}`, argb: `${a}${r}${g}${b}` };
+}
+
+/**
+ * Normalize token maps into the platform-neutral shape both native targets use:
+ * colors: [{ name, dark, light }] (dark === light for shared colors)
+ * dimensions: { size, space, radius } → [{ name, value }]
+ * textStyles: [{ name, fontSize, lineHeight, fontWeight }]
+ */
+function buildNativeTokens(maps) {
+  const shared = flattenGroups(maps.shared);
+  const dark = flattenGroups(maps.dark);
+  const light = flattenGroups(maps.light);
+
+  const colors = [];
+  for (const [name, value] of Object.entries(shared)) {
+    if (!name.startsWith('color-')) continue;
+    const hex = nativeColorHex(value);
+    if (hex) colors.push({ name: name.slice('color-'.length), dark: hex, light: hex });
+  }
+  for (const [name, value] of Object.entries(dark)) {
+    if (!name.startsWith('color-')) continue;
+    const darkHex = nativeColorHex(value);
+    const lightHex = nativeColorHex(light[name] || value);
+    if (darkHex && lightHex) colors.push({ name: name.slice('color-'.length), dark: darkHex, light: lightHex });
+  }
+
+  const dimensions = {};
+  for (const group of ['size', 'space', 'radius']) {
+    dimensions[group] = prefixedEntries(shared, `${group}-`)
+      .map(([step, value]) => ({ name: `${group}-${step}`, value: pxNumber(value) }));
+  }
+
+  const textStyles = prefixedEntries(shared, 'font-size-').map(([style, size]) => ({
+    name: style,
+    fontSize: pxNumber(size),
+    lineHeight: nativeLineHeight(shared[`line-height-${style}`] || size, pxNumber(size)),
+    fontWeight: Number(shared[`font-weight-${style}`] || 400)
+  }));
+
+  return { colors, dimensions, textStyles };
+}
+
+function generateSwift(maps) {
+  const { colors, dimensions, textStyles } = buildNativeTokens(maps);
+  const lines = [];
+
+  lines.push(generatedBanner('AirtimeTokens.swift', 'tokens/*.json', 'line') + '\n');
+  lines.push('import SwiftUI');
+  lines.push('import UIKit\n');
+
+  lines.push('private extension UIColor {');
+  lines.push('    /// 0xRRGGBBAA');
+  lines.push('    convenience init(airtimeHex hex: UInt32) {');
+  lines.push('        self.init(');
+  lines.push('            red: CGFloat((hex >> 24) & 0xFF) / 255,');
+  lines.push('            green: CGFloat((hex >> 16) & 0xFF) / 255,');
+  lines.push('            blue: CGFloat((hex >> 8) & 0xFF) / 255,');
+  lines.push('            alpha: CGFloat(hex & 0xFF) / 255');
+  lines.push('        )');
+  lines.push('    }\n');
+  lines.push('    /// Resolves per trait collection; unspecified falls back to dark.');
+  lines.push('    static func airtimeDynamic(dark: UInt32, light: UInt32) -> UIColor {');
+  lines.push('        UIColor { traits in');
+  lines.push('            UIColor(airtimeHex: traits.userInterfaceStyle == .light ? light : dark)');
+  lines.push('        }');
+  lines.push('    }');
+  lines.push('}\n');
+
+  lines.push('// MARK: - Colors\n');
+  lines.push('public extension UIColor {');
+  for (const c of colors) {
+    const id = `airtime${toCamelCase(`-${c.name}`)}`;
+    const init = c.dark.rgba === c.light.rgba
+      ? `UIColor(airtimeHex: 0x${c.dark.rgba})`
+      : `UIColor.airtimeDynamic(dark: 0x${c.dark.rgba}, light: 0x${c.light.rgba})`;
+    lines.push(`    static let ${id} = ${init}`);
+  }
+  lines.push('}\n');
+
+  lines.push('@available(iOS 15.0, *)');
+  lines.push('public extension Color {');
+  for (const c of colors) {
+    const id = `airtime${toCamelCase(`-${c.name}`)}`;
+    lines.push(`    static let ${id} = Color(uiColor: .${id})`);
+  }
+  lines.push('}\n');
+
+  lines.push('// MARK: - Dimensions\n');
+  const enumNames = { size: 'AirtimeSize', space: 'AirtimeSpacing', radius: 'AirtimeRadius' };
+  for (const [group, entries] of Object.entries(dimensions)) {
+    lines.push(`public enum ${enumNames[group]} {`);
+    for (const d of entries) lines.push(`    public static let ${toCamelCase(d.name)}: CGFloat = ${d.value}`);
+    lines.push('}\n');
+  }
+
+  lines.push('// MARK: - Typography\n');
+  lines.push('public struct AirtimeTextStyle {');
+  lines.push('    public let size: CGFloat');
+  lines.push('    public let lineHeight: CGFloat');
+  lines.push('    public let weight: UIFont.Weight');
+  lines.push('    public let swiftUIWeight: Font.Weight\n');
+  lines.push('    public var uiFont: UIFont { UIFont.systemFont(ofSize: size, weight: weight) }');
+  lines.push('    public var font: Font { Font.system(size: size, weight: swiftUIWeight) }');
+  lines.push('    /// Extra spacing to reach lineHeight from the font\'s natural line height.');
+  lines.push('    public var lineSpacing: CGFloat { max(0, lineHeight - uiFont.lineHeight) }');
+  lines.push('}\n');
+  lines.push('public extension AirtimeTextStyle {');
+  for (const t of textStyles) {
+    const weight = NATIVE_FONT_WEIGHTS[t.fontWeight] || 'regular';
+    lines.push(`    static let ${toCamelCase(t.name)} = AirtimeTextStyle(size: ${t.fontSize}, lineHeight: ${t.lineHeight}, weight: .${weight}, swiftUIWeight: .${weight})`);
+  }
+  lines.push('}');
+
+  return lines.join('\n');
+}
+
+/**
+ * Android resources and Compose theme, keyed by path relative to the android/ output dir.
+ * values/ holds the light theme (Android's default), values-night/ the dark theme.
+ * options.package sets the Kotlin package (default ANDROID_PACKAGE).
+ */
+function generateAndroid(maps, options = {}) {
+  const { colors, dimensions, textStyles } = buildNativeTokens(maps);
+  const xml = (filename, body) => [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    generatedBanner(filename, 'tokens/*.json', 'xml'),
+    `<resources>\n${body.join('\n')}\n</resources>`
+  ].join('\n');
+
+  const dayColors = colors.map(c => `    <color name="${toResourceName(c.name)}">#${c.light.argb}</color>`);
+  const nightColors = colors.filter(c => c.dark.rgba !== c.light.rgba)
+    .map(c => `    <color name="${toResourceName(c.name)}">#${c.dark.argb}</color>`);
+
+  const dimens = [];
+  for (const [group, entries] of Object.entries(dimensions)) {
+    dimens.push(`    <!-- ${group} -->`);
+    for (const d of entries) dimens.push(`    <dimen name="${toResourceName(d.name)}">${d.value}dp</dimen>`);
+  }
+  dimens.push('    <!-- typography -->');
+  for (const t of textStyles) {
+    dimens.push(`    <dimen name="${toResourceName(`font-size-${t.name}`)}">${t.fontSize}sp</dimen>`);
+    dimens.push(`    <dimen name="${toResourceName(`line-height-${t.name}`)}">${t.lineHeight}sp</dimen>`);
+  }
+
+  const kt = [];
+  kt.push(generatedBanner('AirtimeTheme.kt', 'tokens/*.json', 'line') + '\n');
+  kt.push(`package ${options.package || ANDROID_PACKAGE}\n`);
+  kt.push('import androidx.compose.foundation.isSystemInDarkTheme');
+  kt.push('import androidx.compose.runtime.Composable');
+  kt.push('import androidx.compose.runtime.CompositionLocalProvider');
+  kt.push('import androidx.compose.runtime.Immutable');
+  kt.push('import androidx.compose.runtime.ReadOnlyComposable');
+  kt.push('import androidx.compose.runtime.staticCompositionLocalOf');
+  kt.push('import androidx.compose.ui.graphics.Color');
+  kt.push('import androidx.compose.ui.text.TextStyle');
+  kt.push('import androidx.compose.ui.text.font.FontWeight');
+  kt.push('import androidx.compose.ui.unit.dp');
+  kt.push('import androidx.compose.ui.unit.sp\n');
+
+  kt.push('@Immutable');
+  kt.push('data class AirtimeColors(');
+  kt.push(colors.map(c => `    val ${toCamelCase(c.name)}: Color`).join(',\n'));
+  kt.push(')\n');
+  for (const mode of ['dark', 'light']) {
+    const label = mode === 'dark' ? 'AirtimeDarkColors' : 'AirtimeLightColors';
+    kt.push(`val ${label} = AirtimeColors(`);
+    kt.push(colors.map(c => `    ${toCamelCase(c.name)} = Color(0x${c[mode].argb})`).join(',\n'));
+    kt.push(')\n');
+  }
+
+  const objectNames = { size: 'AirtimeSize', space: 'AirtimeSpacing', radius: 'AirtimeRadius' };
+  for (const [group, entries] of Object.entries(dimensions)) {
+    kt.push(`object ${objectNames[group]} {`);
+    for (const d of entries) kt.push(`    val ${toCamelCase(d.name)} = ${d.value}.dp`);
+    kt.push('}\n');
+  }
+
+  kt.push('object AirtimeTypography {');
+  for (const t of textStyles) {
+    kt.push(`    val ${toCamelCase(t.name)} = TextStyle(fontSize = ${t.fontSize}.sp, lineHeight = ${t.lineHeight}.sp, fontWeight = FontWeight(${t.fontWeight}))`);
+  }
+  kt.push('}\n');
+
+  kt.push('val LocalAirtimeColors = staticCompositionLocalOf { AirtimeDarkColors }\n');
+  kt.push('@Composable');
+  kt.push('fun AirtimeTheme(darkTheme: Boolean = isSystemInDarkTheme(), content: @Composable () -> Unit) {');
+  kt.push('    val colors = if (darkTheme) AirtimeDarkColors else AirtimeLightColors');
+  kt.push('    CompositionLocalProvider(LocalAirtimeColors provides colors, content = content)');
+  kt.push('}\n');
+  kt.push('object AirtimeTheme {');
+  kt.push('    val colors: AirtimeColors');
+  kt.push('        @Composable');
+  kt.push('        @ReadOnlyComposable');
+  kt.push('        get() = LocalAirtimeColors.current');
+  kt.push('}');
+
+  return {
+    'res/values/colors.xml': xml('colors.xml', dayColors),
+    'res/values-night/colors.xml': xml('colors.xml', nightColors),
+    'res/values/dimens.xml': xml('dimens.xml', dimens),
+    'AirtimeTheme.kt': kt.join('\n')
+  };
+}
+
+// ============================================================
+// TYPOGRAPHY CLASSES OUTPUT (--typography flag)
+// ============================================================
+// typography.css: one .text-<style> class per composite style that sets the
+// --font-<style> shorthand (and letter spacing when the style has one), for
+// markup that can't reach the vars from its own stylesheet.
+
+/**
+ * Composite style names: every font-<style> shorthand that has a font-size-<style>.
+ */
+function typographyStyles(maps) {
+  const names = new Set(maps.shared.flatMap(group => group.entries.map(([name]) => name)));
+  return [...names]
+    .filter(name => name.startsWith('font-') && names.has(`font-size-${name.slice('font-'.length)}`))
+    .map(name => ({ style: name.slice('font-'.length), letterSpacing: names.has(`letter-spacing-${name.slice('font-'.length)}`) }));
+}
+
+function generateTypographyCSS(maps) {
+  const lines = [generatedBanner('typography.css', 'tokens/*.json'), ''];
+  lines.push(`/* Requires tokens.css on the page for the var(--font-*) values. */`);
+
+  for (const { style, letterSpacing } of typographyStyles(maps)) {
+    lines.push('');
+    lines.push(`.text-${style} {`);
+    lines.push(`  font: var(--font-${style});`);
+    if (letterSpacing) lines.push(`  letter-spacing: var(--letter-spacing-${style});`);
+    lines.push(`}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================================
+// CONTRAST REPORT OUTPUT (--contrast flag)
+// ============================================================
+// contrast-report.json (every pair from contrastMatrix()) and
+// contrast-report.html (one foreground × surface table per mode, each cell a
+// swatch with its WCAG ratio, level and APCA Lc; required pairs outlined).
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function contrastSummary(matrix) {
+  const required = matrix.filter(p => p.required);
+  return { pairs: matrix.length, required: required.length, failing: required.filter(p => !p.pass).length };
+}
+
+function generateContrastJSON(matrix) {
+  return JSON.stringify({
+    source: 'tokens/*.json',
+    summary: contrastSummary(matrix),
+    levels: Object.fromEntries(WCAG_LEVELS),
+    pairs: matrix
+  }, null, 2);
+}
+
+function generateContrastHTML(matrix) {
+  const short = (name) => name.replace(/^color-/, '');
+  const summary = contrastSummary(matrix);
+  const sections = [];
+
+  for (const mode of [...new Set(matrix.map(p => p.mode))]) {
+    const pairs = matrix.filter(p => p.mode === mode);
+    const surfaceKey = (p) => `${p.background} ${p.over || ''}`;
+    const surfaces = [...new Map(pairs.map(p => [surfaceKey(p), p])).values()];
+    const foregrounds = [...new Set(pairs.map(p => p.foreground))];
+
+    const head = surfaces.map(s =>
+      `<th>${escapeHtml(short(s.background))}${s.over ? `<br><small>on ${escapeHtml(short(s.over))}</small>` : ''}</th>`);
+    const rows = foregrounds.map(fg => {
+      const cells = surfaces.map(s => {
+        const p = pairs.find(pair => pair.foreground === fg && surfaceKey(pair) === surfaceKey(s));
+        if (!p) return '<td></td>';
+        const classes = [p.level === 'Fail' ? 'fail' : 'ok', p.required ? 'required' : '', p.pass === false ? 'failing' : '']
+          .filter(Boolean).join(' ');
+        const surface = p.over ? `linear-gradient(${p.backgroundValue}, ${p.backgroundValue}), ${p.overValue}` : p.backgroundValue;
+        const title = `${describePair(p)}: ${p.ratio}:1 ${p.level}, Lc ${p.apca}` +
+          (p.required ? ` — required ${p.required.min}:1${p.required.minLc ? `, Lc ${p.required.minLc}` : ''}` : '');
+        return `<td class="${classes}" title="${escapeHtml(title)}">` +
+          `<span class="swatch" style="background: ${escapeHtml(surface)}; color: ${escapeHtml(p.foregroundValue)}">Aa</span>` +
+          `${p.ratio}<small>${p.level} · Lc ${p.apca}</small></td>`;
+      });
+      return `<tr><th>${escapeHtml(short(fg))}</th>${cells.join('')}</tr>`;
+    });
+
+    sections.push([
+      `<h2>${escapeHtml(mode)}</h2>`,
+      `<table>`,
+      `<thead><tr><th></th>${head.join('')}</tr></thead>`,
+      `<tbody>`,
+      ...rows,
+      `</tbody>`,
+      `</table>`
+    ].join('\n'));
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    generatedBanner('contrast-report.html', 'tokens/*.json', 'xml'),
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<title>Airtime contrast report</title>',
+    '<style>',
+    '  body { font: 14px/1.4 system-ui, sans-serif; margin: 32px; color: #000E14; }',
+    '  table { border-collapse: collapse; margin-bottom: 32px; }',
+    '  th, td { border: 1px solid #EBEBEB; padding: 6px 8px; text-align: left; vertical-align: top; }',
+    '  td small, th small { display: block; color: #646666; font-weight: normal; }',
+    '  .swatch { display: block; padding: 4px 8px; margin-bottom: 4px; border-radius: 4px; font-weight: 600; }',
+    '  .fail { background: #FBE9E6; }',
+    '  .required { outline: 2px solid #1A7580; outline-offset: -2px; }',
+    '  .failing { outline-color: #D6402F; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    '<h1>Contrast report</h1>',
+    `<p>WCAG 2.x contrast ratio, level and APCA Lc for each text color on each surface. Translucent colors are composited onto the surface below first. ` +
+      `Outlined cells are required pairings (tokens/${CONTRAST_FILE}): ${summary.required - summary.failing} of ${summary.required} pass.</p>`,
+    ...sections,
+    '</body>',
+    '</html>'
+  ].join('\n');
+}
+
+// ============================================================
+// OUTPUT COMPARISON (used by --check and --watch)
+// ============================================================
+// Compares built outputs with the files on disk. The "Generated: <date>"
+// banner line is ignored so an unchanged token set matches on any day. CSS
+// outputs get a per-declaration diff; other outputs report the first
+// differing line.
+
+const GENERATED_DATE_LINE = /^.*Generated: \d{4}-\d{2}-\d{2}.*$/m;
+
+function stripGeneratedDate(content) {
+  return content.replace(GENERATED_DATE_LINE, '');
+}
+
+/**
+ * Map every declaration in a CSS file to its value, keyed by the enclosing
+ * selector/at-rule chain plus property: ".dark --color-accent-teal" → "#79DDE8".
+ */
+function parseDeclarations(css) {
+  const declarations = new Map();
+  const stack = [];
+  for (const line of css.split('\n')) {
+    const trimmed = line.trim();
+    if (trimmed.endsWith('{')) {
+      stack.push(trimmed.slice(0, -1).trim());
+    } else if (trimmed === '}') {
+      stack.pop();
+    } else {
+      const match = trimmed.match(/^([\w-]+):\s*(.+);$/);
+      if (match) declarations.set(`${stack.join(' ')}\u0000${match[1]}`, match[2]);
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Per-declaration differences between the expected (freshly built) and actual (on disk) CSS.
+ * Returns lines grouped under their selector chain.
+ */
+function diffDeclarations(expectedCss, actualCss) {
+  const expected = parseDeclarations(expectedCss);
+  const actual = parseDeclarations(actualCss);
+  const bySelector = new Map();
+  const note = (key, line) => {
+    const [selector, prop] = key.split('\u0000');
+    if (!bySelector.has(selector)) bySelector.set(selector, []);
+    bySelector.get(selector).push(line.replace('%p', prop));
+  };
+
+  for (const [key, value] of expected) {
+    if (!actual.has(key)) note(key, `+ %p: ${value}  (missing from file)`);
+    else if (actual.get(key) !== value) note(key, `~ %p: ${actual.get(key)} (file) → ${value} (tokens)`);
+  }
+  for (const [key, value] of actual) {
+    if (!expected.has(key)) note(key, `- %p: ${value}  (not produced by tokens)`);
+  }
+
+  const lines = [];
+  for (const [selector, changes] of bySelector) {
+    lines.push(`    ${selector || '(top level)'}`);
+    lines.push(...changes.map(c => `      ${c}`));
+  }
+  return lines;
+}
+
+/**
+ * Compare built outputs with disk, ignoring the date line. Returns one entry
+ * per file: { file, status: 'ok' | 'missing' | 'stale', diff?, line?, expected?, actual? }.
+ * CSS files get diff (declaration changes grouped by selector); other files
+ * get the first differing line number and its expected/actual text.
+ */
+function compareOutputs(files) {
+  return Object.entries(files).map(([file, content]) => {
+    if (!fs.existsSync(file)) return { file, status: 'missing' };
+
+    const expected = stripGeneratedDate(content + '\n');
+    const actual = stripGeneratedDate(fs.readFileSync(file, 'utf8'));
+    if (expected === actual) return { file, status: 'ok' };
+
+    if (file.endsWith('.css')) {
+      return { file, status: 'stale', diff: diffDeclarations(expected, actual) };
+    }
+    const expectedLines = expected.split('\n');
+    const actualLines = actual.split('\n');
+    const at = expectedLines.findIndex((l, i) => l !== actualLines[i]);
+    return { file, status: 'stale', line: at + 1, expected: expectedLines[at], actual: actualLines[at] };
+  });
+}
+
+// ============================================================
+// CONFIGURATION (airtime.config.json + overrides)
+// ============================================================
+// Every output target, its default file name under outDir, and how to build
+// it from the collected results. build() returns { absolutePath: content }.
+
+const OUTPUT_TARGETS = {
+  css: {
+    defaultPath: 'tokens.css',
+    build: (ctx, file, options = {}) => {
+      const { brands = 'scoped', ...cssOptions } = options;
+      if (!BRAND_OUTPUTS.includes(brands)) {
+        throw new Error(`unknown brands output "${brands}" (expected ${BRAND_OUTPUTS.join(', ')})`);
+      }
+      const optionError = checkUnitOptions(cssOptions) || checkScopeOptions(cssOptions);
+      if (optionError) throw new Error(optionError);
+      const files = { [file]: assemble(ctx.results, { ...cssOptions, modes: ctx.modes }) };
+      if (brands === 'scoped' && ctx.brands.length > 0) {
+        files[file] += '\n\n' + assembleScopedBrands(ctx.results, ctx.brands, { ...cssOptions, modes: ctx.modes });
+      } else if (brands === 'files') {
+        for (const brand of ctx.brands) {
+          files[file.replace(/(\.css)?$/, `.${brand.name}.css`)] = assemble(brand.results, { ...cssOptions, modes: brand.modes });
+        }
+      }
+      return files;
+    }
+  },
+  js: {
+    defaultPath: 'tokens.js',
+    build: (ctx, file) => ({
+      [file]: generateJSModule(ctx.tokenMaps),
+      [file.replace(/\.(m?)js$/, '.d.$1ts')]: generateTypeDeclarations(ctx.tokenMaps)
+    })
+  },
+  scss: {
+    defaultPath: '_tokens.scss',
+    build: (ctx, file) => ({ [file]: generateSCSS(ctx.tokenMaps) })
+  },
+  less: {
+    defaultPath: 'tokens.less',
+    build: (ctx, file) => ({ [file]: generateLess(ctx.tokenMaps) })
+  },
+  tailwind: {
+    defaultPath: 'tailwind.preset.js',
+    build: (ctx, file) => ({ [file]: generateTailwindPreset(ctx.tokenMaps) })
+  },
+  ios: {
+    defaultPath: 'ios',
+    build: (ctx, dir) => ({ [path.join(dir, 'AirtimeTokens.swift')]: generateSwift(ctx.tokenMaps) })
+  },
+  typography: {
+    defaultPath: 'typography.css',
+    build: (ctx, file) => ({ [file]: generateTypographyCSS(ctx.tokenMaps) })
+  },
+  contrast: {
+    defaultPath: 'contrast-report.html',
+    build: (ctx, file) => ({
+      [file]: generateContrastHTML(ctx.contrast),
+      [file.replace(/\.html?$/, '') + '.json']: generateContrastJSON(ctx.contrast)
+    })
+  },
+  android: {
+    defaultPath: 'android',
+    build: (ctx, dir, options) => {
+      const files = {};
+      for (const [file, content] of Object.entries(generateAndroid(ctx.tokenMaps, options))) {
+        files[path.join(dir, file)] = content;
+      }
+      return files;
+    }
+  }
+};
+
+/**
+ * Merge defaults, a config file and overrides into one build config:
+ * { configFile, tokensDir, outDir, format, strict, options, outputs: [{ target, path, options }],
+ *   rules: { system, componentsDir, out, runtimeProperties } }
+ *
+ * Config file (paths relative to the file):
+ *   {
+ *     "tokens": "./tokens",
+ *     "format": "dtcg",                       // optional, skips detectFormat()
+ *     "outDir": "./generated",                // for outputs without a path
+ *     "strict": true,                         // fail on DTCG validation issues
+ *     "options": { "oklch": true },           // defaults for every output
+ *                                             // (css also takes "brands": "scoped" | "files",
+ *                                             // "units", "rootSize", "fluid", "layer",
+ *                                             // "themeAttribute" and "container")
+ *     "outputs": [
+ *       { "target": "css", "path": "dist/tokens.css", "options": { "modernCss": true } },
+ *       { "target": "js" },
+ *       { "target": "android", "options": { "package": "com.example.tokens" } }
+ *     ],
+ *     "rules": {                              // for generate-rules.js
+ *       "system": "airtime",                  // default: _meta.system in the tokens, else "airtime"
+ *       "components": "./components",         // component CSS to inventory
+ *       "out": "./generated/.design-rules.json",
+ *       "runtimeProperties": ["slider-value"] // custom properties set at runtime (names
+ *                                             // or * patterns), not reported as unknown
+ *     }
+ *   }
+ *
+ * Overrides win over the file (paths relative to the working directory):
+ *   { config, tokens, outDir, format, strict, options, targets, rules }
+ * config names the file (default: ./airtime.config.json when present);
+ * targets adds outputs the file doesn't list; options is merged over the
+ * file's shared options. configFile is null when no file was read.
+ */
+function resolveConfig(overrides = {}) {
+  const configFile = path.resolve(overrides.config || DEFAULT_CONFIG_FILE);
+  let file = {};
+  let baseDir = PROJECT_ROOT;
+
+  if (fs.existsSync(configFile)) {
+    try {
+      file = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    } catch (err) {
+      throw new Error(`could not parse ${configFile}: ${err.message}`);
+    }
+    baseDir = path.dirname(configFile);
+  } else if (overrides.config) {
+    throw new Error(`config file not found at ${configFile}`);
+  }
+
+  const fromFile = (p) => path.resolve(baseDir, p);
+  const fromCli = (p) => path.resolve(p);
+
+  const tokensDir = overrides.tokens ? fromCli(overrides.tokens)
+    : file.tokens ? fromFile(file.tokens)
+    : DEFAULT_TOKENS_DIR;
+  const outDir = overrides.outDir ? fromCli(overrides.outDir)
+    : file.outDir ? fromFile(file.outDir)
+    : DEFAULT_OUT_DIR;
+
+  const format = overrides.format || file.format || 'auto';
+  if (format !== 'auto' && !FORMATS.includes(format)) {
+    throw new Error(`unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+  }
+  if (!fs.existsSync(tokensDir)) {
+    throw new Error(`tokens directory not found at ${tokensDir}`);
+  }
+
+  const sharedOptions = { ...(file.options || {}), ...(overrides.options || {}) };
+
+  const requested = (file.outputs || [{ target: 'css' }, { target: 'js' }]).map(o => ({ ...o }));
+  for (const target of overrides.targets || []) {
+    if (!requested.some(o => o.target === target)) requested.push({ target });
+  }
+
+  const outputs = requested.map(o => ({
+    ...resolveOutput(o, outDir, fromFile),
+    options: { ...sharedOptions, ...(o.options || {}) }
+  }));
+
+  for (const output of outputs.filter(o => o.target === 'css')) {
+    if (output.options.brands !== undefined && !BRAND_OUTPUTS.includes(output.options.brands)) {
+      throw new Error(`unknown brands output "${output.options.brands}" (expected ${BRAND_OUTPUTS.join(', ')})`);
+    }
+    const optionError = checkUnitOptions(output.options) || checkScopeOptions(output.options);
+    if (optionError) throw new Error(optionError);
+  }
+
+  const strict = Boolean(overrides.strict || file.strict);
+
+  // system stays null unless set, so generate-rules.js can fall back to _meta
+  const rulesFile = file.rules || {};
+  const rulesOverrides = overrides.rules || {};
+  const rules = {
+    system: rulesOverrides.system || rulesFile.system || null,
+    componentsDir: rulesOverrides.components ? fromCli(rulesOverrides.components)
+      : rulesFile.components ? fromFile(rulesFile.components)
+      : DEFAULT_COMPONENTS_DIR,
+    out: rulesOverrides.out ? fromCli(rulesOverrides.out)
+      : rulesFile.out ? fromFile(rulesFile.out)
+      : path.join(outDir, DEFAULT_RULES_FILE),
+    runtimeProperties: rulesOverrides.runtimeProperties || rulesFile.runtimeProperties || []
+  };
+  if (!Array.isArray(rules.runtimeProperties) || rules.runtimeProperties.some(name => typeof name !== 'string')) {
+    throw new Error(`rules.runtimeProperties must be an array of custom property names`);
+  }
+  rules.runtimeProperties = rules.runtimeProperties.map(name => name.replace(/^--/, ''));
+
+  return { configFile: fs.existsSync(configFile) ? configFile : null, tokensDir, outDir, format, strict, options: sharedOptions, outputs, rules };
+}
+
+/**
+ * Validate an output's target and give it an absolute path (default: the
+ * target's defaultPath under outDir).
+ */
+function resolveOutput(output, outDir = DEFAULT_OUT_DIR, resolvePath = (p) => path.resolve(p)) {
+  const spec = OUTPUT_TARGETS[output.target];
+  if (!spec) {
+    throw new Error(`unknown output target "${output.target}" (expected ${Object.keys(OUTPUT_TARGETS).join(', ')})`);
+  }
+  return {
+    target: output.target,
+    path: output.path ? resolvePath(output.path) : path.join(outDir, spec.defaultPath),
+    options: output.options || {}
+  };
+}
+
+// ============================================================
+// PUBLIC API
+// ============================================================
+
+/**
+ * Load a token source and run every generator for its format.
+ * Returns { dir, format, results, tiers, modes, deprecations, warnings, contrastFailures }:
+ *   results  — [{ name, root, light, dark, modes, oklchColors, p3Colors? }] per category,
+ *              the input to buildCss() and buildOutputs()
+ *   tiers    — token count per tier (three-tier format only, else null)
+ *   modes    — [{ name, base, selector, media }] extra theme modes (see THEME MODES)
+ *   brands   — [{ name, results, modes }] per brand (three-tier only, see BRANDS)
+ *   contrast — contrastMatrix() pairs, checked against tokens/contrast.json
+ *   contrastFailures — [{ code, message, ref }] per required pair (base tokens
+ *              or any brand) below its minimum; callers decide whether to fail
+ *   deprecations — [{ name, replacement, since?, message? }] (see DEPRECATIONS)
+ *   warnings — [{ code, message, file?, pointer? }]: validateTokens() issues
+ *              and anything the generators hit (e.g. unresolved references)
+ * format 'auto' picks legacy, dtcg or three-tier from the files in dir; a
+ * format whose files dir lacks throws an Error with code 'ETOKENSOURCE'.
+ * With strict, any validation issue throws an Error with code
+ * 'ETOKENINVALID' and the issues on err.issues instead. A malformed
+ * tokens/contrast.json rule always throws that error.
+ */
+function loadTokens({ dir = DEFAULT_TOKENS_DIR, format = 'auto', strict = false } = {}) {
+  dir = path.resolve(dir);
+  const warnings = [];
+  // Generators re-report what validation already found; keep the first
+  const warn = (warning) => {
+    if (!warning.ref || !warnings.some(w => w.code === warning.code && w.ref === warning.ref)) warnings.push(warning);
+  };
+  const source = { dir, warn, deprecated: new Map(), modes: new Map() };
+
+  const resolvedFormat = format === 'auto' ? detectFormat(dir) : format;
+  if (!FORMATS.includes(resolvedFormat)) {
+    throw new Error(`unknown format "${resolvedFormat}" (expected ${FORMATS.join(', ')})`);
+  }
+
+  const issues = validateTokens({ dir, format: resolvedFormat });
+  if (strict && issues.length > 0) throw validationError(issues);
+  issues.forEach(warn);
+
+  let generators;
+  let tiers = null;
+
+  if (resolvedFormat === 'three-tier') {
+    checkFormatSources(dir, resolvedFormat);
+    ({ generators, tiers } = buildThreeTierGenerators(source));
+  } else if (resolvedFormat === 'dtcg') {
+    generators = [
+      { name: 'colors', fn: generateDTCGColors },
+      { name: 'sizing', fn: generateDTCGSizing },
+      { name: 'typography', fn: generateDTCGTypography },
+      { name: 'radii', fn: generateDTCGRadii },
+      { name: 'shadows', fn: generateDTCGShadows },
+      { name: 'borders', fn: generateDTCGBorders },
+      { name: 'opacity', fn: generateDTCGOpacity },
+      { name: 'z-index', fn: generateDTCGZIndex },
+      { name: 'transitions', fn: generateDTCGTransitions },
+    ];
+  } else {
+    generators = [
+      { name: 'colors', fn: generateColors },
+      { name: 'sizing', fn: generateSizing },
+      { name: 'typography', fn: generateTypography },
+      { name: 'radii', fn: generateRadii },
+      { name: 'shadows', fn: generateShadows },
+      { name: 'borders', fn: generateBorders },
+      { name: 'opacity', fn: generateOpacity },
+      { name: 'z-index', fn: generateZIndex },
+      { name: 'transitions', fn: generateTransitions },
+    ];
+  }
+  if (resolvedFormat !== 'three-tier') checkFormatSources(dir, resolvedFormat, generators.map(g => g.name));
+
+  const collected = collectResults(generators, source);
+  const modes = resolveModes(collected, source.modes, warn);
+  const { results: themed, deprecations } = applyDeprecations(applyModeFallbacks(collected, modes), source.deprecated, warn);
+  const results = addTonalScales(applyGamutFallbacks(themed, warn));
+
+  const brands = resolvedFormat === 'three-tier' ? listBrands(dir).map(name => loadBrand(source, name)) : [];
+
+  // Required pairings are checked for the base tokens and for every brand
+  const requirements = loadContrastRequirements(source);
+  const contrast = contrastMatrix(results, requirements);
+  const contrastFailures = [
+    ...checkRequiredContrast(contrast),
+    ...brands.flatMap(brand => checkRequiredContrast(contrastMatrix(brand.results, requirements), brand.name))
+  ];
+
+  return { dir, format: resolvedFormat, results, tiers, modes, brands, contrast, contrastFailures, deprecations, warnings };
+}
+
+function validationError(issues) {
+  const err = new Error(`${issues.length} token validation error(s):\n${issues.map(i => `  ${formatIssue(i)}`).join('\n')}`);
+  err.code = 'ETOKENINVALID';
+  err.issues = issues;
+  return err;
+}
+
+/**
+ * tokens.css content for loaded tokens. options: { oklch, modernCss, units,
+ * rootSize, fluid, layer, themeAttribute, container }. Brands are included
+ * as [data-brand] blocks.
+ */
+function buildCss(tokens, options = {}) {
+  return OUTPUT_TARGETS.css.build(buildContext(tokens), 'tokens.css', { ...options, brands: 'scoped' })['tokens.css'];
+}
+
+/**
+ * Build output targets in memory. outputs: [{ target, path?, options? }] as
+ * in the config file (or resolveConfig().outputs); a missing path defaults to
+ * generated/<defaultPath>. Returns { absolutePath: content }.
+ */
+function buildOutputs(tokens, outputs = [{ target: 'css' }, { target: 'js' }]) {
+  const ctx = buildContext(tokens);
+  const files = {};
+  for (const output of outputs.map(o => resolveOutput(o))) {
+    Object.assign(files, OUTPUT_TARGETS[output.target].build(ctx, output.path, output.options));
+  }
+  return files;
+}
+
+function buildContext(tokens) {
+  return {
+    results: tokens.results,
+    modes: tokens.modes || [],
+    brands: tokens.brands || [],
+    contrast: tokens.contrast || contrastMatrix(tokens.results),
+    tokenMaps: buildTokenMaps(tokens.results)
+  };
+}
+
+/**
+ * Write built outputs. With onlyChanged, files whose content (ignoring the
+ * date line) already matches disk are left untouched. Returns written paths.
+ */
+function writeOutputs(files, { onlyChanged = false } = {}) {
+  const written = [];
+  for (const [filepath, content] of Object.entries(files)) {
+    if (onlyChanged && fs.existsSync(filepath) &&
+        stripGeneratedDate(fs.readFileSync(filepath, 'utf8')) === stripGeneratedDate(content + '\n')) {
+      continue;
+    }
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content + '\n', 'utf8');
+    written.push(filepath);
+  }
+  return written;
+}
+
+/**
+ * Custom property counts: { shared, themed, total }. Themed vars are counted
+ * once (every .dark var has a .light counterpart).
+ */
+function tokenStats(tokens) {
+  // Counts are the same for every CSS variant, so use the plain one
+  const lines = assemble(tokens.results).split('\n');
+  const shared = lines.filter(l => l.match(/^\s{2}--/) && !l.match(/^\s{4}/)).length;
+  let themed = 0;
+  let inDark = false;
+  for (const line of lines) {
+    if (line === '.dark {') inDark = true;
+    if (inDark && line === '}') { inDark = false; continue; }
+    if (inDark && line.match(/^\s{2}--/)) themed++;
+  }
+  return { shared, themed, total: shared + themed };
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_TOKENS_DIR,
+  THREE_TIER_CATEGORIES,
+  OUTPUT_TARGETS,
+  PROJECT_ROOT,
+  loadTokens,
+  validateTokens,
+  formatIssue,
+  buildCss,
+  buildOutputs,
+  writeOutputs,
+  compareOutputs,
+  resolveConfig,
+  detectFormat,
+  flattenDTCG,
+  buildRefMap,
+  deepResolveRefs,
+  dtcgCssName,
+  buildTokenMaps,
+  tokenStats,
+  contrastMatrix,
+  apcaContrast,
+  contrastRatio,
+  isColorValue,
+  globToRegExp,
+  toOklab,
+  deltaE
+};
@@ -0,0 +1,784 @@
+#!/usr/bin/env node
+
+/**
+ * Airtime Design System — Token Format Converter
+ * Converts token sources between the formats scripts/compiler.js reads:
+ * legacy JSON (colors.json, ...) to DTCG (colors.tokens.json, ...) and back,
+ * and flat DTCG into the three-tier primitives/semantic/component layout.
+ *
+ * Usage: node scripts/convert-tokens.js <to-dtcg|to-legacy|split> --out <dir> [--tokens <dir>]
+ *        node scripts/convert-tokens.js --check [--tokens <dir>]
+ *
+ *   node scripts/convert-tokens.js to-dtcg --out tokens        # rewrite *.tokens.json from the legacy files
+ *   node scripts/convert-tokens.js split --out ../three-tier   # primitives/, semantic/, component/
+ *   node scripts/convert-tokens.js --check                     # legacy, DTCG and three-tier agree
+ *
+ * Metadata carries over: _meta.description ↔ $description, _meta.modes ↔
+ * $extensions.modes and _meta.deprecated ↔ each token's $extensions.deprecated.
+ * The rest of _meta is kept in $extensions.meta, and legacy data that no DTCG
+ * token holds (the typography size and lineHeight primitives) in
+ * $extensions.legacy, so to-legacy restores both.
+ *
+ * --- Commands ---
+ *
+ * to-dtcg    Legacy *.json → DTCG *.tokens.json.
+ * to-legacy  DTCG *.tokens.json → legacy *.json.
+ * split      Flat DTCG → three-tier. Color values move to a primitives/ palette
+ *            that semantic colors reference. Tokens that other tokens reference
+ *            get a primitive at the same path, aliased from semantic/. Groups
+ *            outside the standard categories go to component/.
+ *
+ * --- Flags ---
+ *
+ * --tokens  Source directory (default: ./tokens, or "tokens" in airtime.config.json).
+ * --out     Directory to write to. Files with the same names are overwritten.
+ *           contrast.json, which every format reads as is, is copied along.
+ * --check   Build tokens.css from the legacy files, the DTCG files and a
+ *           three-tier split of the DTCG files; exit 1 if they differ, or if a
+ *           legacy file changes when converted to DTCG and back.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  THREE_TIER_CATEGORIES,
+  loadTokens,
+  buildCss,
+  resolveConfig,
+  flattenDTCG,
+  buildRefMap,
+  deepResolveRefs,
+  dtcgCssName,
+  detectFormat
+} = require('./compiler');
+
+// Legacy file basenames, in pipeline order; the DTCG copy is <name>.tokens.json
+const CATEGORIES = ['colors', 'sizing', 'typography', 'radii', 'shadows', 'borders', 'opacity', 'z-index', 'transitions'];
+const BUILT_IN_MODES = ['dark', 'light'];
+// Files every format reads as they are (the required contrast pairings)
+const SHARED_FILES = ['contrast.json'];
+
+// ============================================================
+// VALUES AND TREES
+// ============================================================
+
+function fromPx(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).match(/^(-?\d*\.?\d+)px$/);
+  if (!match) throw new Error(`${JSON.stringify(value)} is not a px dimension`);
+  return Number(match[1]);
+}
+
+function fromDuration(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value).match(/^(-?\d*\.?\d+)(ms|s)$/);
+  if (!match) throw new Error(`${JSON.stringify(value)} is not a duration`);
+  return match[2] === 's' ? Number(match[1]) * 1000 : Number(match[1]);
+}
+
+// Legacy → DTCG and back for each simple $type
+const VALUE_TYPES = {
+  dimension: { toDTCG: n => `${n}px`, toLegacy: fromPx },
+  duration: { toDTCG: n => `${n}ms`, toLegacy: fromDuration },
+  number: { toDTCG: n => n, toLegacy: v => v },
+  string: { toDTCG: s => s, toLegacy: v => Array.isArray(v) ? `cubic-bezier(${v.join(', ')})` : v }
+};
+
+/**
+ * Set tree[path[0]][path[1]]... = node, creating groups on the way.
+ */
+function setPath(tree, tokenPath, node) {
+  let group = tree;
+  for (const key of tokenPath.slice(0, -1)) group = group[key] = group[key] || {};
+  group[tokenPath[tokenPath.length - 1]] = node;
+}
+
+function isEmpty(obj) {
+  return !obj || Object.keys(obj).length === 0;
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`could not read ${file}: ${err.message}`);
+  }
+}
+
+function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  return file;
+}
+
+// Groups with one level of keys below them. key(k) is the DTCG key for legacy
+// key k; the legacy key is recovered by stripping key('').
+const SCALES = {
+  sizing: [
+    { group: 'size', path: ['size'], key: k => k, type: 'dimension' },
+    { group: 'space', path: ['space'], key: k => k, type: 'dimension' }
+  ],
+  radii: [{ group: 'radius', path: ['radius'], key: k => k, type: 'dimension' }],
+  borders: [
+    { group: 'width', path: ['border', 'width'], key: k => k, type: 'dimension' },
+    { group: 'style', path: ['border', 'style'], key: k => k, type: 'string' }
+  ],
+  opacity: [{ group: 'opacity', path: ['opacity'], key: k => `opacity-${k}`, type: 'number' }],
+  'z-index': [{ group: 'z', path: ['z'], key: k => `z-${k}`, type: 'number' }],
+  transitions: [
+    { group: 'duration', path: ['duration'], key: k => `duration-${k}`, type: 'duration' },
+    { group: 'easing', path: ['easing'], key: k => `easing-${k}`, type: 'string' }
+  ]
+};
+
+// ============================================================
+// LEGACY → DTCG
+// ============================================================
+// Each converter takes the legacy data (without _meta) and a token(value,
+// type, tokenPath, mode) factory, and returns the DTCG tree. Extra legacy data
+// to keep goes in the returned `legacy` object.
+
+const TO_DTCG = {
+  colors(data, token, meta) {
+    const color = {};
+    const modes = [...BUILT_IN_MODES, ...Object.keys(meta.modes || {}), null];
+    for (const mode of modes) {
+      for (const [key, value] of Object.entries(data[mode || 'shared'] || {})) {
+        // background-primary → color.background.primary
+        const [category, ...role] = key.split('-');
+        const tokenPath = role.length ? [category, role.join('-')] : [category];
+        setPath(color, mode ? [...tokenPath, mode] : tokenPath, token(value, 'color', ['color', ...tokenPath], mode));
+      }
+    }
+    return { tree: { color } };
+  },
+
+  typography(data, token, meta, warn) {
+    const { family = {}, weight = {}, ...unused } = data.primitive || {};
+    const font = { family: {}, weight: {}, size: {} };
+    const lineHeight = {};
+    const compositeWeight = {};
+
+    for (const [key, value] of Object.entries(family)) {
+      font.family[key] = token(value, 'fontFamily', ['font', 'family', key]);
+    }
+    for (const [key, value] of Object.entries(weight)) {
+      font.weight[key] = token(value, 'number', ['font', 'weight', key]);
+    }
+    for (const [name, style] of Object.entries(data.composite || {})) {
+      if (style.fontFamily !== 'primary') {
+        warn(`composite "${name}" uses font family "${style.fontFamily}"; DTCG styles use the primary family`);
+      }
+      font.size[name] = token(`${style.fontSize}px`, 'dimension', ['font', 'size', name]);
+      lineHeight[name] = token(`${style.lineHeight}px`, 'dimension', ['line-height', name]);
+      compositeWeight[name] = token(`{font.weight.${style.fontWeight}}`, 'number', ['font-weight-composite', name]);
+    }
+
+    return {
+      tree: { font, 'line-height': lineHeight, 'font-weight-composite': compositeWeight },
+      legacy: isEmpty(unused) ? null : { primitive: unused }
+    };
+  },
+
+  shadows(data, token, meta) {
+    const shadow = {};
+    for (const [level, geo] of Object.entries(data.geometry || {})) {
+      for (const mode of [...BUILT_IN_MODES, ...Object.keys(meta.modes || {})]) {
+        const color = data[mode] && data[mode][`shadow-${level}`];
+        if (color === undefined) continue;
+        const value = {
+          offsetX: `${geo.offsetX}px`,
+          offsetY: `${geo.offsetY}px`,
+          blur: `${geo.blurRadius}px`,
+          spread: `${geo.spreadRadius}px`,
+          color
+        };
+        setPath(shadow, [level, mode], token(value, 'shadow', ['shadow', level], mode));
+      }
+    }
+    const blur = {};
+    for (const [key, value] of Object.entries(data.blur || {})) {
+      blur[key] = token(`${value}px`, 'dimension', ['blur', key]);
+    }
+    return { tree: { shadow, blur } };
+  }
+};
+
+for (const [category, scales] of Object.entries(SCALES)) {
+  TO_DTCG[category] = (data, token) => {
+    const tree = {};
+    for (const scale of scales) {
+      for (const [key, value] of Object.entries(data[scale.group] || {})) {
+        const tokenPath = [...scale.path, scale.key(key)];
+        setPath(tree, tokenPath, token(VALUE_TYPES[scale.type].toDTCG(value), scale.type, tokenPath));
+      }
+    }
+    return { tree };
+  };
+}
+
+/**
+ * Convert one legacy file. Returns the DTCG document.
+ */
+function legacyToDTCG(category, raw, warn) {
+  const { _meta: meta = {}, ...data } = raw;
+  const { name, description, modes, deprecated = {}, ...rest } = meta;
+  const unclaimed = new Set(Object.keys(deprecated));
+
+  const token = ($value, $type, tokenPath, mode = null) => {
+    const extensions = {};
+    if (mode) extensions.mode = mode;
+    const cssName = dtcgCssName(tokenPath, null, $type);
+    if (deprecated[cssName] !== undefined) {
+      extensions.deprecated = deprecated[cssName];
+      unclaimed.delete(cssName);
+    }
+    return isEmpty(extensions) ? { $value, $type } : { $value, $type, $extensions: extensions };
+  };
+
+  const { tree, legacy } = TO_DTCG[category](data, token, meta, warn);
+  for (const cssName of unclaimed) warn(`deprecated --${cssName} has no token; dropped`);
+
+  const extensions = {};
+  if (modes) extensions.modes = modes;
+  if (!isEmpty(rest)) extensions.meta = rest;
+  if (legacy) extensions.legacy = legacy;
+
+  return {
+    ...(name && { $name: name }),
+    ...(description && { $description: description }),
+    ...(!isEmpty(extensions) && { $extensions: extensions }),
+    ...tree
+  };
+}
+
+// ============================================================
+// DTCG → LEGACY
+// ============================================================
+// Each converter takes the flattened tokens (references resolved) and returns
+// the legacy data. Tokens it can't place are passed to skip(t, reason).
+
+const TO_LEGACY = {
+  colors(tokens, skip) {
+    const buckets = { dark: {}, light: {}, shared: {} };
+    for (const t of tokens) {
+      if (t.path[0] !== 'color' || t.$type !== 'color') { skip(t, 'not a color'); continue; }
+      const mode = t.$extensions.mode;
+      const key = (mode ? t.path.slice(1, -1) : t.path.slice(1)).join('-');
+      (buckets[mode || 'shared'] = buckets[mode || 'shared'] || {})[key] = t.$value;
+    }
+    return buckets;
+  },
+
+  typography(tokens, skip, original) {
+    const primitive = { family: {}, weight: {}, ...((original.legacy && original.legacy.primitive) || {}) };
+    const composite = {};
+    const style = (name) => composite[name] = composite[name] || { fontFamily: 'primary' };
+
+    for (const t of tokens) {
+      const [group, sub, key] = t.path;
+      if (group === 'font' && sub === 'family') primitive.family[key] = t.$value;
+      else if (group === 'font' && sub === 'weight') primitive.weight[key] = t.$value;
+      else if (group === 'font' && sub === 'size') style(key).fontSize = fromPx(t.$value);
+      else if (group === 'line-height') style(sub).lineHeight = fromPx(t.$value);
+      else if (group === 'font-weight-composite') {
+        // Legacy composites name a primitive weight
+        const ref = String(original.raw(t)).match(/^\{font\.weight\.([^}]+)\}$/);
+        const named = ref ? ref[1] : Object.keys(primitive.weight).find(k => primitive.weight[k] === t.$value);
+        if (named) style(sub).fontWeight = named;
+        else skip(t, `weight ${t.$value} is not a font.weight primitive`);
+      } else skip(t, t.$type === 'typography' ? 'typography composites have no legacy form' : 'unknown typography group');
+    }
+
+    // Key order of the legacy files
+    for (const [name, s] of Object.entries(composite)) {
+      composite[name] = { fontFamily: s.fontFamily, fontWeight: s.fontWeight, fontSize: s.fontSize, lineHeight: s.lineHeight };
+    }
+    return { primitive, composite };
+  },
+
+  shadows(tokens, skip) {
+    const data = { geometry: {}, dark: {}, light: {} };
+    const blur = {};
+    for (const t of tokens) {
+      const mode = t.$extensions.mode;
+      if (t.path[0] === 'blur') {
+        blur[t.path[t.path.length - 1]] = fromPx(t.$value);
+      } else if (t.path[0] === 'shadow' && mode && t.$value && typeof t.$value === 'object') {
+        const level = t.path[1];
+        const { offsetX, offsetY, blur: blurRadius, spread, color } = t.$value;
+        const geo = { offsetX: fromPx(offsetX), offsetY: fromPx(offsetY), blurRadius: fromPx(blurRadius), spreadRadius: fromPx(spread) };
+        const shared = data.geometry[level];
+        if (shared && JSON.stringify(shared) !== JSON.stringify(geo)) {
+          skip(t, `geometry differs from the other modes; legacy shadows share one geometry per level`);
+          continue;
+        }
+        data.geometry[level] = geo;
+        (data[mode] = data[mode] || {})[`shadow-${level}`] = color;
+      } else {
+        skip(t, 'legacy shadows need a mode and a { offsetX, offsetY, blur, spread, color } value');
+      }
+    }
+    data.blur = blur;
+    return data;
+  }
+};
+
+for (const [category, scales] of Object.entries(SCALES)) {
+  TO_LEGACY[category] = (tokens, skip) => {
+    const data = Object.fromEntries(scales.map(scale => [scale.group, {}]));
+    for (const t of tokens) {
+      const last = t.path[t.path.length - 1];
+      const scale = scales.find(s =>
+        t.path.length === s.path.length + 1 && s.path.every((k, i) => t.path[i] === k) && last.startsWith(s.key(''))
+      );
+      if (!scale) { skip(t, `not in ${scales.map(s => s.path.join('.')).join(' or ')}`); continue; }
+      data[scale.group][last.slice(scale.key('').length)] = VALUE_TYPES[scale.type].toLegacy(t.$value);
+    }
+    return data;
+  };
+}
+
+/**
+ * Convert one DTCG file. Returns the legacy document.
+ */
+function dtcgToLegacy(category, doc, warn) {
+  const flat = flattenDTCG(doc);
+  const refMap = buildRefMap(flat);
+  const tokens = flat.map(t => ({ ...t, raw: t.$value, $value: deepResolveRefs(t.$value, refMap, w => warn(w.message)) }));
+  return tokensToLegacy(category, tokens, doc, warn);
+}
+
+/**
+ * Legacy document for one category from resolved flat tokens, each carrying
+ * its unresolved value as `raw`. header is the DTCG file the tokens came
+ * from ($name, $description, $extensions).
+ */
+function tokensToLegacy(category, tokens, header, warn) {
+  const { modes, meta = {}, legacy } = header.$extensions || {};
+  const skip = (t, reason) => warn(`${t.path.join('.')} skipped: ${reason}`);
+  let data;
+  try {
+    data = TO_LEGACY[category](tokens, skip, { legacy, raw: t => t.raw });
+  } catch (err) {
+    throw new Error(`${category}.tokens.json: ${err.message}`);
+  }
+
+  // Legacy files only read extra modes that _meta.modes declares
+  const allModes = { ...modes };
+  for (const t of tokens) {
+    const mode = t.$extensions.mode;
+    if (mode && !BUILT_IN_MODES.includes(mode) && !allModes[mode]) allModes[mode] = {};
+  }
+  const deprecated = {};
+  for (const t of tokens) {
+    if (t.$extensions.deprecated !== undefined) {
+      deprecated[dtcgCssName(t.path, t.$extensions.mode, t.$type)] = t.$extensions.deprecated;
+    }
+  }
+
+  const outMeta = {
+    ...(header.$name && { name: header.$name }),
+    ...meta,
+    ...(header.$description && { description: header.$description }),
+    ...(!isEmpty(allModes) && { modes: allModes }),
+    ...(!isEmpty(deprecated) && { deprecated })
+  };
+  return { ...(!isEmpty(outMeta) && { _meta: outMeta }), ...data };
+}
+
+// ============================================================
+// LEGACY VIEW OF ANY FORMAT
+// ============================================================
+// generate-rules.js reads its scales and metadata from the legacy category
+// shapes. readAsLegacy() returns them for whichever format the compiler would
+// build, resolving references the way the compiler does: within each flat
+// DTCG file, and primitives → semantic → component in three-tier.
+
+// Top-level token groups → the category that owns them (THREE_TIER_CATEGORIES)
+const GROUP_CATEGORIES = {
+  color: 'colors',
+  size: 'sizing', space: 'sizing',
+  font: 'typography', 'line-height': 'typography', 'font-weight-composite': 'typography',
+  radius: 'radii',
+  shadow: 'shadows', blur: 'shadows',
+  border: 'borders',
+  opacity: 'opacity',
+  z: 'z-index',
+  duration: 'transitions', easing: 'transitions'
+};
+
+/**
+ * Three-tier tokens grouped by category: { category → { tokens, header } }.
+ * Semantic and component tokens are resolved (primitives are never emitted),
+ * and a category's header comes from the tier files named after it, where
+ * split puts $description and $extensions.
+ */
+function threeTierCategories(dir, warn) {
+  const readTier = (tier) => {
+    const tierDir = path.join(dir, tier);
+    if (!fs.existsSync(tierDir)) return [];
+    return fs.readdirSync(tierDir).filter(f => f.endsWith('.tokens.json')).sort()
+      .map(file => ({ file, doc: readJSON(path.join(tierDir, file)) }));
+  };
+  const tiers = Object.fromEntries(['primitives', 'semantic', 'component'].map(tier => [tier, readTier(tier)]));
+  const flatten = (files) => files.flatMap(({ doc }) => flattenDTCG(doc));
+  const resolveAll = (tokens, refMap) =>
+    tokens.map(t => ({ ...t, raw: t.$value, $value: deepResolveRefs(t.$value, refMap, w => warn(w.message)) }));
+
+  const primitiveRefMap = buildRefMap(flatten(tiers.primitives));
+  const semantic = resolveAll(flatten(tiers.semantic), primitiveRefMap);
+  const component = resolveAll(flatten(tiers.component), { ...primitiveRefMap, ...buildRefMap(semantic) });
+
+  const categories = {};
+  for (const t of [...semantic, ...component]) {
+    const category = t.$type === 'typography' ? 'typography' : GROUP_CATEGORIES[t.path[0]];
+    if (!category) continue;
+    (categories[category] = categories[category] || { tokens: [], header: {} }).tokens.push(t);
+  }
+  for (const { file, doc } of [...tiers.semantic, ...tiers.component]) {
+    const category = categories[file.replace(/\.tokens\.json$/, '')];
+    if (!category) continue;
+    for (const key of ['$name', '$description', '$extensions']) {
+      if (doc[key] !== undefined) category.header[key] = doc[key];
+    }
+  }
+  return categories;
+}
+
+/**
+ * Legacy documents ({ category → doc }) for the token set in dir. format is
+ * legacy, dtcg, three-tier or auto (detectFormat). Categories without tokens
+ * are left out.
+ */
+function readAsLegacy(dir, format = 'auto', warn = () => {}) {
+  if (format === 'auto') format = detectFormat(dir);
+  if (format === 'legacy') {
+    return readCategories(dir, '.json');
+  }
+  if (format === 'dtcg') {
+    return Object.fromEntries(Object.entries(readCategories(dir, '.tokens.json'))
+      .map(([category, doc]) => [category, dtcgToLegacy(category, doc, warn)]));
+  }
+  const docs = {};
+  for (const [category, { tokens, header }] of Object.entries(threeTierCategories(dir, warn))) {
+    docs[category] = tokensToLegacy(category, tokens, header, warn);
+  }
+  if (isEmpty(docs)) throw new Error(`no three-tier tokens in ${dir}`);
+  return docs;
+}
+
+// ============================================================
+// FLAT DTCG → THREE-TIER
+// ============================================================
+
+const REFERENCE = /\{([^}]+)\}/g;
+
+function referencesIn(value, found = new Set()) {
+  if (typeof value === 'string') for (const [, ref] of value.matchAll(REFERENCE)) found.add(ref);
+  else if (value && typeof value === 'object') for (const v of Object.values(value)) referencesIn(v, found);
+  return found;
+}
+
+function tokenNode(t, $value, withExtensions = true) {
+  const node = { $value, $type: t.$type };
+  if (withExtensions && !isEmpty(t.$extensions)) node.$extensions = t.$extensions;
+  return node;
+}
+
+/**
+ * Split flat DTCG documents ({ file → doc }) into { 'primitives/<file>' → doc, ... }.
+ */
+function splitThreeTier(docs, warn) {
+  const tokens = [];
+  for (const [file, doc] of Object.entries(docs)) {
+    for (const t of flattenDTCG(doc)) tokens.push({ ...t, file });
+  }
+  const byPath = new Map(tokens.map(t => [t.path.join('.'), t]));
+  const refMap = buildRefMap(tokens);
+  const resolve = (value) => deepResolveRefs(value, refMap, w => warn(w.message));
+
+  // 1. Palette: one primitive per distinct color, named after its first user
+  //    (modeless colors first, so #FFFFFF is "modeless-white")
+  const palette = new Map(); // uppercase color → name
+  const names = new Set();
+  const paletteRef = (color, t) => {
+    const key = String(color).toUpperCase();
+    if (!palette.has(key)) {
+      const base = (t.path[0] === 'color' ? t.path.slice(1) : t.path).join('-');
+      let name = base;
+      for (let i = 2; names.has(name); i++) name = `${base}-${i}`;
+      names.add(name);
+      palette.set(key, { name, value: color });
+    }
+    return `{palette.${palette.get(key).name}}`;
+  };
+  const isColorToken = (t) => t.$type === 'color';
+  const ordered = [...tokens.filter(t => isColorToken(t) && !t.$extensions.mode), ...tokens];
+  for (const t of ordered) {
+    if (isColorToken(t) && typeof t.$value === 'string' && !referencesIn(t.$value).size) paletteRef(t.$value, t);
+  }
+
+  // 2. Tokens that others reference get a primitive at the same path
+  const referenced = new Set();
+  for (const t of tokens) {
+    for (const ref of referencesIn(t.$value)) {
+      const target = byPath.get(ref);
+      if (target && !isColorToken(target)) referenced.add(target);
+    }
+  }
+
+  // 3. Rewrite values: literal colors → palette. Semantic tokens may only
+  //    reference primitives, so their color references go to the palette too.
+  const tierOf = (t) => THREE_TIER_CATEGORIES.has(t.path[0]) || t.$type === 'typography' ? 'semantic' : 'component';
+  const rewrite = (value, t, colorField) => {
+    if (typeof value === 'string') {
+      const whole = value.match(/^\{([^}]+)\}$/);
+      const target = whole && byPath.get(whole[1]);
+      if (target && isColorToken(target) && (tierOf(t) === 'semantic' || tierOf(target) === 'component')) {
+        return paletteRef(resolve(target.$value), target);
+      }
+      if (colorField && !referencesIn(value).size) return paletteRef(value, t);
+      return value;
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rewrite(v, t, k === 'color')]));
+    }
+    return value;
+  };
+
+  const out = {};
+  const add = (tier, file, tokenPath, node) => {
+    const doc = out[`${tier}/${file}`] = out[`${tier}/${file}`] || {};
+    setPath(doc, tokenPath, node);
+  };
+
+  for (const t of tokens) {
+    const tier = tierOf(t);
+    if (referenced.has(t)) {
+      add('primitives', t.file, t.path, tokenNode(t, resolve(t.$value), false));
+      add(tier, t.file, t.path, tokenNode(t, `{${t.path.join('.')}}`));
+    } else {
+      add(tier, t.file, t.path, tokenNode(t, rewrite(t.$value, t, isColorToken(t))));
+    }
+  }
+
+  if (palette.size > 0) {
+    const colors = { $type: 'color' };
+    for (const { name, value } of palette.values()) colors[name] = { $value: value };
+    const file = 'primitives/colors.tokens.json';
+    out[file] = { ...out[file], palette: colors };
+  }
+
+  // File headers ($name, $description, modes) go on the semantic copy
+  for (const [file, doc] of Object.entries(docs)) {
+    const header = Object.fromEntries(Object.entries(doc).filter(([k]) => k.startsWith('$') && k !== '$type'));
+    const key = out[`semantic/${file}`] ? `semantic/${file}` : out[`component/${file}`] ? `component/${file}` : null;
+    if (key && !isEmpty(header)) out[key] = { ...header, ...out[key] };
+  }
+  return out;
+}
+
+// ============================================================
+// COMMANDS
+// ============================================================
+
+function readCategories(dir, suffix) {
+  const docs = {};
+  for (const category of CATEGORIES) {
+    const file = path.join(dir, `${category}${suffix}`);
+    if (fs.existsSync(file)) docs[category] = readJSON(file);
+  }
+  if (isEmpty(docs)) throw new Error(`no *${suffix} token files in ${dir}`);
+  return docs;
+}
+
+function makeWarn(file) {
+  return (message) => console.warn(`  Warning: ${file}: ${message}`);
+}
+
+/**
+ * Copy SHARED_FILES into outDir, so a converted token set keeps them.
+ */
+function copyShared(dir, outDir) {
+  if (path.resolve(dir) === path.resolve(outDir)) return [];
+  return SHARED_FILES.filter(file => fs.existsSync(path.join(dir, file))).map(file => {
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.copyFileSync(path.join(dir, file), path.join(outDir, file));
+    return path.join(outDir, file);
+  });
+}
+
+function toDTCG(dir, outDir) {
+  return [
+    ...Object.entries(readCategories(dir, '.json')).map(([category, raw]) =>
+      writeJSON(path.join(outDir, `${category}.tokens.json`), legacyToDTCG(category, raw, makeWarn(`${category}.json`)))),
+    ...copyShared(dir, outDir)
+  ];
+}
+
+function toLegacy(dir, outDir) {
+  return [
+    ...Object.entries(readCategories(dir, '.tokens.json')).map(([category, doc]) =>
+      writeJSON(path.join(outDir, `${category}.json`), dtcgToLegacy(category, doc, makeWarn(`${category}.tokens.json`)))),
+    ...copyShared(dir, outDir)
+  ];
+}
+
+/**
+ * Split every *.tokens.json in dir (not only the standard categories), or
+ * only the given files.
+ */
+function split(dir, outDir, files = null) {
+  const docs = {};
+  for (const file of files || fs.readdirSync(dir).filter(f => f.endsWith('.tokens.json')).sort()) {
+    docs[file] = readJSON(path.join(dir, file));
+  }
+  if (isEmpty(docs)) throw new Error(`no *.tokens.json files in ${dir}`);
+  return [
+    ...Object.entries(splitThreeTier(docs, makeWarn('split'))).map(([file, doc]) => writeJSON(path.join(outDir, file), doc)),
+    ...copyShared(dir, outDir)
+  ];
+}
+
+/**
+ * Declarations only in a ("-") or only in b ("+"), counting repeats, at most
+ * `limit` of each. Enough to point at the tokens that drifted; blocks and
+ * ordering aren't compared line by line.
+ */
+function lineDiff(a, b, limit = 10) {
+  const count = (text) => {
+    const counts = new Map();
+    for (const line of text.split('\n')) {
+      if (/^\s*--/.test(line)) counts.set(line, (counts.get(line) || 0) + 1);
+    }
+    return counts;
+  };
+  const left = count(a);
+  const right = count(b);
+  const only = (from, other, sign) => [...from]
+    .filter(([line, n]) => n > (other.get(line) || 0))
+    .slice(0, limit)
+    .map(([line]) => `      ${sign} ${line.trim()}`);
+  const diff = [...only(left, right, '-'), ...only(right, left, '+')];
+  if (diff.length === 0 && a.replace(/Generated: .*/, '') !== b.replace(/Generated: .*/, '')) {
+    diff.push(`      (same declarations, different blocks, comments or order)`);
+  }
+  return diff;
+}
+
+/**
+ * First place where a and b differ, ignoring key order:
+ * { at: '/a/b', a, b } or null.
+ */
+function firstDifference(a, b, at = '') {
+  if (a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+    for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      const diff = firstDifference(a[key], b[key], `${at}/${key}`);
+      if (diff) return diff;
+    }
+    return null;
+  }
+  return a === b ? null : { at: at || '/', a, b };
+}
+
+/**
+ * Convert each legacy document to DTCG and back and compare it with the
+ * original, so metadata the converter drops is caught even when tokens.css
+ * doesn't show it. Returns the number of documents that changed.
+ */
+function checkRoundTrip(dir) {
+  let changed = 0;
+  for (const [category, raw] of Object.entries(readCategories(dir, '.json'))) {
+    const warn = makeWarn(`${category}.json`);
+    const diff = firstDifference(raw, dtcgToLegacy(category, legacyToDTCG(category, raw, warn), warn));
+    if (!diff) continue;
+    changed++;
+    const show = (value) => value === undefined ? '(missing)' : JSON.stringify(value);
+    console.log(`  ✗ ${category}.json changes at ${diff.at}: ${show(diff.a)} → ${show(diff.b)}`);
+  }
+  if (changed === 0) console.log(`  ✓ legacy → DTCG → legacy`);
+  return changed;
+}
+
+/**
+ * Build tokens.css from each available pipeline over dir and compare them,
+ * after checking the legacy → DTCG → legacy round trip. Returns the number of
+ * failed checks: pipelines whose output differs from the first, plus legacy
+ * documents the round trip changes.
+ */
+function check(dir) {
+  const builds = [];
+  const hasLegacy = CATEGORIES.every(c => fs.existsSync(path.join(dir, `${c}.json`)));
+  const hasDTCG = CATEGORIES.every(c => fs.existsSync(path.join(dir, `${c}.tokens.json`)));
+  let failed = hasLegacy ? checkRoundTrip(dir) : 0;
+  if (hasLegacy) builds.push({ label: 'legacy', css: buildCss(loadTokens({ dir, format: 'legacy' })) });
+  if (hasDTCG) {
+    builds.push({ label: 'dtcg', css: buildCss(loadTokens({ dir, format: 'dtcg' })) });
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'airtime-three-tier-'));
+    try {
+      // The flat DTCG pipeline only reads the category files
+      split(dir, tmp, CATEGORIES.map(c => `${c}.tokens.json`));
+      builds.push({ label: 'three-tier (split)', css: buildCss(loadTokens({ dir: tmp, format: 'three-tier' })) });
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  }
+  if (builds.length < 2) throw new Error(`--check needs the legacy and DTCG files of every category in ${dir}`);
+
+  const [first, ...rest] = builds;
+  console.log(`  ✓ ${first.label}`);
+  for (const build of rest) {
+    const diff = lineDiff(first.css, build.css);
+    if (diff.length === 0) {
+      console.log(`  ✓ ${build.label}`);
+      continue;
+    }
+    failed++;
+    console.log(`  ✗ ${build.label} differs from ${first.label}`);
+    console.log(diff.join('\n'));
+  }
+  return failed;
+}
+
+const COMMANDS = { 'to-dtcg': toDTCG, 'to-legacy': toLegacy, split };
+
+function main() {
+  const args = process.argv.slice(2);
+  const argValue = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const usage = 'Usage: node scripts/convert-tokens.js <to-dtcg|to-legacy|split> --out <dir> [--tokens <dir>]\n' +
+    '       node scripts/convert-tokens.js --check [--tokens <dir>]';
+
+  try {
+    const dir = argValue('--tokens') ? path.resolve(argValue('--tokens')) : resolveConfig().tokensDir;
+
+    if (args.includes('--check')) {
+      const failed = check(dir);
+      if (failed > 0) {
+        console.error(`\n${failed} check(s) failed. Convert the copy that wasn't edited (to-dtcg or to-legacy) to bring the pipelines back in line.`);
+        process.exit(1);
+      }
+      console.log(`The round trip keeps every legacy document and all pipelines build the same tokens.css.`);
+      return;
+    }
+
+    const command = COMMANDS[args[0]];
+    const outDir = argValue('--out');
+    if (!command || !outDir) {
+      console.error(usage);
+      process.exit(1);
+    }
+    for (const file of command(dir, path.resolve(outDir))) console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { legacyToDTCG, dtcgToLegacy, splitThreeTier, readAsLegacy };
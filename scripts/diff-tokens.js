@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+/**
+ * Airtime Design System — Token Diff
+ * Compares two token sets and reports what changed for consumers: CSS custom
+ * properties added, removed, renamed and value-changed per mode (shared,
+ * dark, light and any extra theme modes), classified as breaking or
+ * non-breaking.
+ *
+ * Usage: node scripts/diff-tokens.js <before> [<after>] [--json] [--out <file>]
+ *
+ * <before> / <after> is a token directory or a git revision. A revision reads
+ * the tokens directory at that commit; use <rev>:<path> for another path.
+ * <after> defaults to the working tree's tokens directory.
+ *
+ *   node scripts/diff-tokens.js HEAD                      # uncommitted token edits
+ *   node scripts/diff-tokens.js v1.4.0 v1.5.0 >> CHANGELOG.md
+ *   node scripts/diff-tokens.js ../figma-export/tokens tokens --json
+ *
+ * Each side is loaded with the regular legacy/DTCG/three-tier loaders, so the
+ * formats can differ. Color changes include ΔE (OKLab, ×100).
+ *
+ * --- Flags ---
+ *
+ * --json    Print JSON for tooling instead of Markdown.
+ * --out     Write the report to a file instead of stdout.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  PROJECT_ROOT,
+  loadTokens,
+  buildTokenMaps,
+  resolveConfig,
+  isColorValue,
+  deltaE
+} = require('./compiler');
+
+const MODES = ['shared', 'dark', 'light'];
+
+// Built-in modes first, then extra theme modes (high-contrast, ...) by name
+function modesOf(...valueSets) {
+  const extra = new Set(valueSets.flatMap(values => Object.keys(values)).filter(m => !MODES.includes(m)));
+  return [...MODES, ...[...extra].sort()];
+}
+
+// ============================================================
+// LOADING
+// ============================================================
+
+function git(gitArgs, options = {}) {
+  return execFileSync('git', gitArgs, { cwd: PROJECT_ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], ...options });
+}
+
+/**
+ * Copy the token files under `subdir` at a git revision into a temp dir.
+ */
+function checkoutTokens(rev, subdir) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${rev}^{commit}`]);
+  } catch (err) {
+    throw new Error(`"${rev}" is neither a directory nor a git revision`);
+  }
+  const files = git(['ls-tree', '-r', '--name-only', rev, '--', subdir]).split('\n').filter(f => f.endsWith('.json'));
+  if (files.length === 0) throw new Error(`no token files under ${subdir}/ at ${rev}`);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'airtime-tokens-'));
+  for (const file of files) {
+    const dest = path.join(dir, path.relative(subdir, file));
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.writeFileSync(dest, git(['show', `${rev}:${file}`], { maxBuffer: 64 * 1024 * 1024 }));
+  }
+  return dir;
+}
+
+/**
+ * Load one side of the diff. Returns { label, tokens } where tokens maps
+ * CSS name → { shared?, dark?, light?, <mode>? }.
+ */
+function loadSide(spec, defaultDir) {
+  let dir = spec;
+  let label = spec;
+  let tempDir = null;
+
+  if (!fs.existsSync(spec)) {
+    const gitRoot = git(['rev-parse', '--show-toplevel']).trim();
+    const [rev, subdir = path.relative(gitRoot, defaultDir)] = spec.split(':');
+    dir = tempDir = checkoutTokens(rev, subdir.replace(/\/$/, ''));
+  } else {
+    label = path.relative(process.cwd(), path.resolve(spec)) || '.';
+  }
+
+  try {
+    const loaded = loadTokens({ dir });
+    return { label, format: loaded.format, tokens: tokensByName(buildTokenMaps(loaded.results)) };
+  } finally {
+    if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+function tokensByName(maps) {
+  const byName = new Map();
+  const buckets = { shared: maps.shared, dark: maps.dark, light: maps.light, ...maps.modes };
+  for (const [mode, groups] of Object.entries(buckets)) {
+    for (const group of groups) {
+      for (const [name, value] of group.entries) {
+        if (!byName.has(name)) byName.set(name, {});
+        byName.get(name)[mode] = value;
+      }
+    }
+  }
+  return byName;
+}
+
+// ============================================================
+// DIFF
+// ============================================================
+
+/**
+ * Rough value kind, used to flag changes that break usage (e.g. a dimension
+ * that becomes a color can no longer be used in calc()).
+ */
+function valueKind(value) {
+  if (isColorValue(value)) return 'color';
+  if (value === '0') return 'zero';
+  if (/^-?(\d+\.?\d*|\.\d+)(px|rem|em|%)$/.test(value)) return 'dimension';
+  if (/^-?(\d+\.?\d*|\.\d+)$/.test(value)) return 'number';
+  if (/^(\d+\.?\d*|\.\d+)m?s$/.test(value)) return 'duration';
+  return 'other';
+}
+
+// Unitless 0 is valid as both, so "0" → "0px" or "0" → "0.5" is not a kind change
+function kindsCompatible(a, b) {
+  if (a === b) return true;
+  const numeric = ['dimension', 'number'];
+  return (a === 'zero' && numeric.includes(b)) || (b === 'zero' && numeric.includes(a));
+}
+
+function signature(values) {
+  return modesOf(values).map(mode => `${mode}=${values[mode] ?? ''}`).join('|');
+}
+
+const groupOf = (name) => name.split('-')[0];
+
+/**
+ * Pair removed and added names whose values are identical in every mode and
+ * that sit in the same group (color-*, space-*, ...). Only unambiguous
+ * one-to-one matches count as renames.
+ */
+function findRenames(removed, added, before, after) {
+  const candidates = new Map();
+  for (const name of added) {
+    const key = `${groupOf(name)} ${signature(after.get(name))}`;
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push(name);
+  }
+  const removedByKey = new Map();
+  for (const name of removed) {
+    const key = `${groupOf(name)} ${signature(before.get(name))}`;
+    if (!removedByKey.has(key)) removedByKey.set(key, []);
+    removedByKey.get(key).push(name);
+  }
+
+  const renames = [];
+  for (const [key, names] of removedByKey) {
+    const matches = candidates.get(key) || [];
+    if (names.length === 1 && matches.length === 1) renames.push({ from: names[0], to: matches[0] });
+  }
+  return renames;
+}
+
+/**
+ * Diff two token maps (CSS name → { shared?, dark?, light?, <mode>? }).
+ * Returns a list of changes:
+ *   { type: 'added' | 'removed', name, values, breaking }
+ *   { type: 'renamed', from, to, values, breaking }
+ *   { type: 'changed', name, mode, before, after, deltaE?, breaking }
+ * Removals, renames, changes of value kind and values dropped from a mode
+ * without a fallback are breaking.
+ */
+function diffTokens(before, after) {
+  const removedNames = [...before.keys()].filter(n => !after.has(n));
+  const addedNames = [...after.keys()].filter(n => !before.has(n));
+  const renames = findRenames(removedNames, addedNames, before, after);
+  const renamedFrom = new Set(renames.map(r => r.from));
+  const renamedTo = new Set(renames.map(r => r.to));
+
+  const changes = [];
+  for (const name of removedNames.filter(n => !renamedFrom.has(n))) {
+    changes.push({ type: 'removed', name, values: before.get(name), breaking: true });
+  }
+  for (const { from, to } of renames) {
+    changes.push({ type: 'renamed', from, to, values: after.get(to), breaking: true });
+  }
+  for (const name of addedNames.filter(n => !renamedTo.has(n))) {
+    changes.push({ type: 'added', name, values: after.get(name), breaking: false });
+  }
+
+  for (const [name, oldValues] of before) {
+    const newValues = after.get(name);
+    if (!newValues) continue;
+    for (const mode of modesOf(oldValues, newValues)) {
+      const oldValue = oldValues[mode];
+      const newValue = newValues[mode];
+      if (oldValue === newValue) continue;
+
+      const change = { type: 'changed', name, mode, before: oldValue ?? null, after: newValue ?? null };
+      const dE = oldValue !== undefined && newValue !== undefined ? deltaE(oldValue, newValue) : null;
+      if (dE !== null) change.deltaE = Math.round(dE * 100) / 100;
+      if (newValue === undefined) {
+        // Dropping a themed value leaves the property undefined in that
+        // theme unless a shared value now covers it
+        change.breaking = mode === 'shared' ? !newValues.dark || !newValues.light : newValues.shared === undefined;
+      } else {
+        change.breaking = oldValue !== undefined && !kindsCompatible(valueKind(oldValue), valueKind(newValue));
+      }
+      changes.push(change);
+    }
+  }
+
+  return changes;
+}
+
+// ============================================================
+// REPORTS
+// ============================================================
+
+function formatValues(values) {
+  return modesOf(values).filter(m => values[m] !== undefined)
+    .map(m => (m === 'shared' ? `\`${values[m]}\`` : `${m} \`${values[m]}\``))
+    .join(', ');
+}
+
+function renderMarkdown(changes, from, to) {
+  const breaking = changes.filter(c => c.breaking);
+  const nonBreaking = changes.filter(c => !c.breaking);
+  const lines = [`## Token changes: ${from.label} → ${to.label}`, ''];
+
+  if (changes.length === 0) {
+    lines.push('No token changes.');
+    return lines.join('\n');
+  }
+  lines.push(`**${breaking.length} breaking**, ${nonBreaking.length} non-breaking`, '');
+
+  const section = (title, list) => {
+    if (list.length === 0) return;
+    lines.push(`### ${title}`, '');
+    const removed = list.filter(c => c.type === 'removed');
+    const renamed = list.filter(c => c.type === 'renamed');
+    const added = list.filter(c => c.type === 'added');
+    const changed = list.filter(c => c.type === 'changed');
+
+    if (removed.length) {
+      lines.push('**Removed**', '');
+      for (const c of removed) lines.push(`- \`--${c.name}\` (was ${formatValues(c.values)})`);
+      lines.push('');
+    }
+    if (renamed.length) {
+      lines.push('**Renamed**', '');
+      for (const c of renamed) lines.push(`- \`--${c.from}\` → \`--${c.to}\``);
+      lines.push('');
+    }
+    if (added.length) {
+      lines.push('**Added**', '');
+      for (const c of added) lines.push(`- \`--${c.name}\`: ${formatValues(c.values)}`);
+      lines.push('');
+    }
+    if (changed.length) {
+      lines.push('**Changed**', '', '| Token | Mode | Before | After | ΔE |', '|---|---|---|---|---|');
+      const cell = (v) => (v === null ? '—' : `\`${v}\``);
+      for (const c of changed) {
+        lines.push(`| \`--${c.name}\` | ${c.mode} | ${cell(c.before)} | ${cell(c.after)} | ${c.deltaE ?? ''} |`);
+      }
+      lines.push('');
+    }
+  };
+
+  section('Breaking', breaking);
+  section('Non-breaking', nonBreaking);
+  return lines.join('\n').trimEnd();
+}
+
+function renderJSON(changes, from, to) {
+  return JSON.stringify({
+    from: { source: from.label, format: from.format },
+    to: { source: to.label, format: to.format },
+    summary: {
+      breaking: changes.filter(c => c.breaking).length,
+      nonBreaking: changes.filter(c => !c.breaking).length
+    },
+    changes
+  }, null, 2);
+}
+
+// --- Main ---
+
+function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const outFile = outIndex !== -1 ? args[outIndex + 1] : undefined;
+  const positional = args.filter((a, i) => !a.startsWith('--') && (outIndex === -1 || i !== outIndex + 1));
+
+  if (positional.length === 0 || positional.length > 2) {
+    console.error('Usage: node scripts/diff-tokens.js <before> [<after>] [--json] [--out <file>]');
+    process.exit(1);
+  }
+
+  let from;
+  let to;
+  try {
+    const defaultDir = resolveConfig().tokensDir;
+    from = loadSide(positional[0], defaultDir);
+    to = loadSide(positional[1] || path.relative(process.cwd(), defaultDir) || '.', defaultDir);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const changes = diffTokens(from.tokens, to.tokens);
+  const report = args.includes('--json') ? renderJSON(changes, from, to) : renderMarkdown(changes, from, to);
+
+  if (outFile) {
+    fs.writeFileSync(outFile, report + '\n', 'utf8');
+    console.log(`Wrote ${outFile} (${changes.length} change(s))`);
+  } else {
+    console.log(report);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = { diffTokens, renderMarkdown, renderJSON };
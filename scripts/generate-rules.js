@@ -2,38 +2,99 @@
 
 /**
  * Airtime Design System — Design Rules Generation Script
- * Reads token files and generates .design-rules.json with usage constraints.
+ * Reads token files and component CSS and generates .design-rules.json with
+ * usage constraints. Tokens are read in whichever format the compiler would
+ * build (legacy, DTCG or three-tier), through the legacy view in
+ * convert-tokens.js.
  *
- * Usage: node scripts/generate-rules.js
+ * Usage: node scripts/generate-rules.js [--config <file>] [--tokens <dir>] [--format <name>]
+ *                                       [--components <dir>] [--system <name>] [--out <file>]
  *
- * Reads from: ./tokens/*.json
+ * Reads from: ./tokens/*.tokens.json (or *.json, or primitives/ semantic/ component/)
+ *             ./components/*.css
  * Writes to:  ./generated/.design-rules.json
+ *
+ * --- Flags ---
+ *
+ * --config      Config file (default: ./airtime.config.json when present). Its "rules"
+ *               section sets the same three paths/names as the flags below, plus
+ *               "runtimeProperties": custom properties the linter accepts in var().
+ * --tokens      Token source directory (default: ./tokens).
+ * --format      legacy | dtcg | three-tier — skip format auto-detection.
+ * --components  Component CSS directory to inventory (default: ./components). Without
+ *               one, component constraints fall back to heuristics.
+ * --system      Design system name for _meta (default: _meta.system in the token
+ *               files, $extensions.meta.system in DTCG, else "airtime").
+ * --out         Output file (default: <outDir>/.design-rules.json).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { PROJECT_ROOT, loadTokens, resolveConfig, buildTokenMaps, isColorValue } = require('./compiler');
+const { readAsLegacy } = require('./convert-tokens');
+
+const DEFAULT_SYSTEM_NAME = 'airtime';
+
+// --- Argument parsing ---
+const args = process.argv.slice(2);
 
-// Standalone: hardcoded paths
-const PROJECT_ROOT = path.join(__dirname, '..');
-const TOKENS_DIR = path.join(PROJECT_ROOT, 'tokens');
-const OUTPUT_DIR = path.join(PROJECT_ROOT, 'generated');
-const OUTPUT_FILE = path.join(OUTPUT_DIR, '.design-rules.json');
+/**
+ * Value of a "--name value" or "--name=value" flag, or undefined.
+ */
+function argValue(name) {
+  const inline = args.find(a => a.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+}
 
-if (!fs.existsSync(TOKENS_DIR)) {
-  console.error(`Error: tokens directory not found at ${TOKENS_DIR}`);
+let config;
+try {
+  config = resolveConfig({
+    config: argValue('--config'),
+    tokens: argValue('--tokens'),
+    format: argValue('--format'),
+    rules: { system: argValue('--system'), components: argValue('--components'), out: argValue('--out') }
+  });
+} catch (err) {
+  console.error(`Error: ${err.message}`);
   process.exit(1);
 }
 
+const TOKENS_DIR = config.tokensDir;
+const COMPONENTS_DIR = config.rules.componentsDir;
+const OUTPUT_FILE = config.rules.out;
+
 // --- Helpers ---
 
-function loadJSON(filename) {
-  const filepath = path.join(TOKENS_DIR, filename);
-  if (!fs.existsSync(filepath)) return null;
-  const raw = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+let categories = null;
+
+/**
+ * Legacy-shaped data and _meta for one category ('colors', 'sizing', ...),
+ * or null when the token set has none. Loaded once, see readAsLegacy().
+ */
+function loadCategory(category) {
+  // Conversion notes (e.g. typography composites have no legacy form) don't
+  // concern the rules; the compiler reports real token problems
+  if (!categories) categories = readAsLegacy(TOKENS_DIR, config.format, () => {});
+  const raw = categories[category];
+  if (!raw) return null;
   const { _meta, ...data } = raw;
   return { data, meta: _meta || {} };
 }
 
+/**
+ * System name from the token files' metadata: _meta.system in a legacy file
+ * or $extensions.meta.system in a DTCG file (see convert-tokens.js).
+ */
+function systemFromMeta() {
+  for (const category of Object.keys(categories || {})) {
+    const { meta } = loadCategory(category);
+    if (typeof meta.system === 'string' && meta.system) return meta.system;
+  }
+  return null;
+}
+
 function pxVal(n) {
   return n === 0 ? '0' : `${n}px`;
 }
@@ -59,7 +120,7 @@ function getGenericFonts() {
 // --- Rule generators ---
 
 function generateColorRules() {
-  const result = loadJSON('colors.json');
+  const result = loadCategory('colors');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -156,7 +217,7 @@ function generateColorRules() {
 }
 
 function generateTypographyRules() {
-  const result = loadJSON('typography.json');
+  const result = loadCategory('typography');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -215,7 +276,7 @@ function generateTypographyRules() {
 }
 
 function generateSpacingRules() {
-  const result = loadJSON('sizing.json');
+  const result = loadCategory('sizing');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -247,7 +308,7 @@ function generateSpacingRules() {
 }
 
 function generateRadiiRules() {
-  const result = loadJSON('radii.json');
+  const result = loadCategory('radii');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -284,7 +345,7 @@ function generateRadiiRules() {
 }
 
 function generateShadowRules() {
-  const result = loadJSON('shadows.json');
+  const result = loadCategory('shadows');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -306,7 +367,7 @@ function generateShadowRules() {
 }
 
 function generateBorderRules() {
-  const result = loadJSON('borders.json');
+  const result = loadCategory('borders');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -329,7 +390,7 @@ function generateBorderRules() {
 }
 
 function generateOpacityRules() {
-  const result = loadJSON('opacity.json');
+  const result = loadCategory('opacity');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -356,7 +417,7 @@ function generateOpacityRules() {
 }
 
 function generateTransitionRules() {
-  const result = loadJSON('transitions.json');
+  const result = loadCategory('transitions');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -376,7 +437,7 @@ function generateTransitionRules() {
 }
 
 function generateZIndexRules() {
-  const result = loadJSON('z-index.json');
+  const result = loadCategory('z-index');
   if (!result) return null;
   const { data, meta } = result;
 
@@ -398,6 +459,52 @@ function generateZIndexRules() {
   return { tokenUsage };
 }
 
+/**
+ * Deprecated tokens (legacy _meta or DTCG $extensions markers, see
+ * DEPRECATIONS in compiler.js). Their tokenUsage entry is replaced with a
+ * warning naming the replacement so generation and linters steer away.
+ */
+function generateDeprecationRules(tokens) {
+  const { deprecations } = tokens;
+  if (deprecations.length === 0) return null;
+
+  const tokenUsage = {};
+  const deprecated = {};
+
+  for (const { name, replacement, since, message } of deprecations) {
+    let warning = `DEPRECATED${since ? ` since ${since}` : ''} — `;
+    warning += replacement ? `use ${replacement} instead` : 'do not use in new code';
+    if (message) warning += `. ${message}`;
+    tokenUsage[name] = warning;
+    deprecated[name] = { replacement: replacement || null, since: since || null, message: message || null };
+  }
+
+  return { tokenUsage, deprecated };
+}
+
+/**
+ * Every custom property tokens.css defines, and the color values of each
+ * color token per theme (shared, dark, light and extra modes), so linters can
+ * check var() references and literal colors without the token sources.
+ */
+function generateTokenInventory(tokens) {
+  const maps = buildTokenMaps(tokens.results);
+  const themes = { shared: maps.shared, dark: maps.dark, light: maps.light, ...maps.modes };
+  const names = new Set();
+  const colors = {};
+
+  for (const [theme, groups] of Object.entries(themes)) {
+    for (const { entries } of groups) {
+      for (const [name, value] of entries) {
+        names.add(name);
+        if (isColorValue(value)) (colors[name] = colors[name] || {})[theme] = value;
+      }
+    }
+  }
+
+  return { names: [...names], colors };
+}
+
 // --- Anti-pattern generation ---
 
 function generateAntiPatterns(typography, colorRules) {
@@ -419,7 +526,8 @@ function generateAntiPatterns(typography, colorRules) {
         id: 'no-generic-fonts',
         rule: `Do not use ${disallowed.join(', ')} — this system uses ${systemFont}`,
         severity: 'error',
-        reason: 'Generic font substitution is the most visible sign of AI-generated interfaces'
+        reason: 'Generic font substitution is the most visible sign of AI-generated interfaces',
+        fonts: disallowed
       });
     }
 
@@ -475,7 +583,7 @@ function generateAntiPatterns(typography, colorRules) {
   }
 
   // Radius anti-patterns
-  const radiiResult = loadJSON('radii.json');
+  const radiiResult = loadCategory('radii');
   if (radiiResult) {
     const radiiValues = Object.values(radiiResult.data.radius || {}).filter(v => v > 0 && v < 9999);
     const has8px = radiiValues.includes(8);
@@ -492,7 +600,7 @@ function generateAntiPatterns(typography, colorRules) {
   }
 
   // Shadow anti-patterns
-  const shadowResult = loadJSON('shadows.json');
+  const shadowResult = loadCategory('shadows');
   if (shadowResult && shadowResult.meta) {
     if (shadowResult.meta.description && shadowResult.meta.description.toLowerCase().includes('minimal')) {
       antiPatterns.push({
@@ -526,6 +634,22 @@ function generateAntiPatterns(typography, colorRules) {
     reason: 'Arbitrary spacing values break the visual rhythm of the design system'
   });
 
+  antiPatterns.push({
+    id: 'no-unknown-tokens',
+    rule: 'Only reference tokens this system defines — var(--name) must name a token from tokens.css',
+    severity: 'error',
+    reason: 'A misspelled or invented token resolves to nothing and silently drops the style',
+    // Custom properties components set from markup or JS (rules.runtimeProperties)
+    ...(config.rules.runtimeProperties.length > 0 && { allow: config.rules.runtimeProperties })
+  });
+
+  antiPatterns.push({
+    id: 'no-deprecated-tokens',
+    rule: 'Do not reference deprecated tokens — use the replacement listed in deprecatedTokens',
+    severity: 'warning',
+    reason: 'Deprecated tokens still resolve, but point at their replacement and will be removed'
+  });
+
   antiPatterns.push({
     id: 'no-color-invention',
     rule: 'Do not introduce colors outside the token palette — every color must come from a defined token',
@@ -547,9 +671,11 @@ function generateAntiPatterns(typography, colorRules) {
  */
 function parseComponentCSS(filePath) {
   const css = fs.readFileSync(filePath, 'utf8');
+  // Without comments and strings, so a data: URL's "www.w3.org" isn't read as classes
+  const code = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g, '""');
 
   // Extract class names from selectors (e.g. .btn-primary, .input-lg)
-  const classMatches = css.match(/\.([a-zA-Z][\w-]*)/g) || [];
+  const classMatches = code.match(/\.([a-zA-Z][\w-]*)/g) || [];
   const classNames = [...new Set(classMatches.map(m => m.slice(1)))]; // remove leading dot, dedupe
 
   // Extract token references: var(--token-name)
@@ -585,15 +711,29 @@ function parseComponentCSS(filePath) {
 
 // --- Component constraints ---
 
+/**
+ * Component CSS files in COMPONENTS_DIR, or [] when there is no such directory.
+ */
+function componentFiles() {
+  if (!fs.existsSync(COMPONENTS_DIR) || !fs.statSync(COMPONENTS_DIR).isDirectory()) return [];
+  return fs.readdirSync(COMPONENTS_DIR).filter(f => f.endsWith('.css'));
+}
+
+/**
+ * Path of a component file as recorded in the rules: relative to the project
+ * root, or to the components directory's parent when it lives elsewhere.
+ */
+function componentLabel(file) {
+  const filePath = path.join(COMPONENTS_DIR, file);
+  const relative = path.relative(PROJECT_ROOT, filePath);
+  const label = relative.startsWith('..') ? path.join(path.basename(COMPONENTS_DIR), file) : relative;
+  return label.split(path.sep).join('/');
+}
+
 function generateComponentConstraints(typography, spacing, radii, shadows) {
   // Check if this system has component CSS files
-  const componentsDir = path.join(SYSTEMS_DIR, systemName, 'components');
-  const hasComponentCSS = fs.existsSync(componentsDir) &&
-    fs.statSync(componentsDir).isDirectory() &&
-    fs.readdirSync(componentsDir).some(f => f.endsWith('.css'));
-
-  if (hasComponentCSS) {
-    return generateComponentConstraintsFromCSS(componentsDir);
+  if (componentFiles().length > 0) {
+    return generateComponentConstraintsFromCSS(COMPONENTS_DIR);
   }
 
   // Fall back to heuristic constraints for systems without component CSS
@@ -606,9 +746,7 @@ function generateComponentConstraints(typography, spacing, radii, shadows) {
  */
 function generateComponentConstraintsFromCSS(componentsDir) {
   const constraints = {};
-  const cssFiles = fs.readdirSync(componentsDir).filter(f => f.endsWith('.css'));
-
-  for (const file of cssFiles) {
+  for (const file of componentFiles()) {
     const componentName = path.basename(file, '.css');
     const filePath = path.join(componentsDir, file);
     const parsed = parseComponentCSS(filePath);
@@ -667,7 +805,7 @@ function generateComponentConstraintsFromCSS(componentsDir) {
     // Variant summary
     constraint.variantCount = parsed.variantCount;
     constraint.variants = parsed.variants;
-    constraint.file = `components/${file}`;
+    constraint.file = componentLabel(file);
 
     constraints[componentName] = constraint;
   }
@@ -750,36 +888,38 @@ function generateRules() {
   const opacity = generateOpacityRules();
   const transitions = generateTransitionRules();
   const zIndex = generateZIndexRules();
+  const tokens = loadTokens({ dir: TOKENS_DIR, format: config.format });
+  const deprecations = generateDeprecationRules(tokens);
+  const inventory = generateTokenInventory(tokens);
 
   const antiPatterns = generateAntiPatterns(typography, colorRules);
   const componentConstraints = generateComponentConstraints(typography, spacing, radii, shadows);
 
   // Build component inventory if component CSS files exist
-  const componentsDir = path.join(SYSTEMS_DIR, systemName, 'components');
+  const cssFiles = componentFiles();
   let componentInventory = null;
-  if (fs.existsSync(componentsDir) && fs.statSync(componentsDir).isDirectory()) {
-    const cssFiles = fs.readdirSync(componentsDir).filter(f => f.endsWith('.css'));
-    if (cssFiles.length > 0) {
-      componentInventory = {};
-      for (const file of cssFiles) {
-        const componentName = path.basename(file, '.css');
-        const filePath = path.join(componentsDir, file);
-        const parsed = parseComponentCSS(filePath);
-        componentInventory[componentName] = {
-          file: `components/${file}`,
-          classes: parsed.classNames,
-          variants: parsed.variants,
-          variantCount: parsed.variantCount,
-          tokenRefs: parsed.tokenRefs,
-          states: parsed.states
-        };
-      }
+  if (cssFiles.length > 0) {
+    componentInventory = {};
+    for (const file of cssFiles) {
+      const componentName = path.basename(file, '.css');
+      const parsed = parseComponentCSS(path.join(COMPONENTS_DIR, file));
+      componentInventory[componentName] = {
+        file: componentLabel(file),
+        classes: parsed.classNames,
+        variants: parsed.variants,
+        variantCount: parsed.variantCount,
+        tokenRefs: parsed.tokenRefs,
+        states: parsed.states
+      };
     }
   }
 
+  const systemName = config.rules.system || systemFromMeta() || DEFAULT_SYSTEM_NAME;
+
   // Merge all token usage maps
   const allTokenUsage = {};
-  const sections = [colorRules, typography, spacing, radii, shadows, borders, opacity, transitions, zIndex];
+  // Deprecations last so their warnings replace the regular usage notes
+  const sections = [colorRules, typography, spacing, radii, shadows, borders, opacity, transitions, zIndex, deprecations];
   for (const section of sections) {
     if (section?.tokenUsage) {
       Object.assign(allTokenUsage, section.tokenUsage);
@@ -797,6 +937,10 @@ function generateRules() {
 
     tokenUsage: allTokenUsage,
 
+    deprecatedTokens: deprecations ? deprecations.deprecated : null,
+
+    tokens: inventory,
+
     typography: typography ? {
       fontFamily: typography.fontFamily,
       fontName: typography.fontName,
@@ -835,7 +979,7 @@ function generateRules() {
   }
 
   // Write output
-  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  fs.mkdirSync(path.dirname(OUTPUT_FILE), { recursive: true });
   const json = JSON.stringify(rules, null, 2);
   fs.writeFileSync(OUTPUT_FILE, json + '\n', 'utf8');
 
@@ -850,8 +994,13 @@ function generateRules() {
   console.log(`  Anti-patterns:        ${antiPatternCount}`);
   console.log(`  Component constraints: ${componentCount}`);
   if (componentFileCount > 0) {
-    console.log(`  Component CSS files:  ${componentFileCount} (parsed from components/)`);
+    console.log(`  Component CSS files:  ${componentFileCount} (parsed from ${path.relative(process.cwd(), COMPONENTS_DIR) || '.'}/)`);
   }
 }
 
-generateRules();
+try {
+  generateRules();
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
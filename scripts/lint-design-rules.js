@@ -0,0 +1,638 @@
+#!/usr/bin/env node
+
+/**
+ * Airtime Design System — Design Rules Linter
+ * Checks CSS, HTML and JSX/TSX against the .design-rules.json that
+ * generate-rules.js writes: literal colors outside the palette, spacing and
+ * radii off their scales, generic fonts, indigo/purple gradients, and var()
+ * references to tokens that don't exist or are deprecated. Each finding
+ * carries the id and severity of the antiPatterns entry it enforces; a check
+ * whose entry isn't in the rules file is skipped. --fix rewrites literal
+ * colors, spacing and radii to the matching tokens first (see AUTOFIX).
+ *
+ * Usage: node scripts/lint-design-rules.js <file|dir>... [--rules <file>] [--config <file>] [--json]
+ *                                          [--fix] [--report <file>]
+ *
+ *   node scripts/lint-design-rules.js src/
+ *   node scripts/lint-design-rules.js components/button.css --json
+ *   node scripts/lint-design-rules.js src/ --fix --report token-fixes.md
+ *
+ * Scans *.css, *.html / *.htm (style attributes and <style> blocks) and
+ * *.jsx / *.tsx (style={{ ... }} objects). Directories are walked, skipping
+ * node_modules and dot-directories. Exits 1 when an error-severity finding
+ * is reported.
+ *
+ * --- Flags ---
+ *
+ * --rules   Rules file (default: generated/.design-rules.json, or "rules.out"
+ *           in airtime.config.json).
+ * --config  Config file (default: ./airtime.config.json when present).
+ * --json    Print the findings as JSON.
+ * --fix     Replace literal values with token references where one token
+ *           clearly matches, then lint what's left.
+ * --report  With --fix, also write the values left for review as Markdown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveConfig, toOklab, deltaE, globToRegExp } = require('./compiler');
+
+// antiPatterns entry each check reports under
+const CHECKS = {
+  color: 'no-color-invention',
+  spacing: 'use-defined-spacing',
+  radius: 'no-excessive-rounding',
+  font: 'no-generic-fonts',
+  gradient: 'no-default-indigo',
+  token: 'no-unknown-tokens',
+  deprecated: 'no-deprecated-tokens'
+};
+
+const FILE_TYPES = { '.css': 'css', '.html': 'html', '.htm': 'html', '.jsx': 'jsx', '.tsx': 'jsx' };
+
+const SPACING_PROPERTY = /^(padding|margin)(-(top|right|bottom|left|inline|block)(-(start|end))?)?$|^(row-|column-)?gap$/;
+const RADIUS_PROPERTY = /^border(-(top|bottom|start|end)-(left|right|start|end))?-radius$/;
+const FONT_PROPERTY = /^font(-family)?$/;
+
+const HEX_LITERAL = /#[0-9a-fA-F]{3,8}\b/g;
+const PX_LITERAL = /(?<![\w.#-])-?(\d+\.?\d*|\.\d+)px\b/g;
+const VAR_REFERENCE = /var\(\s*--([\w-]+)/g;
+const PURPLE_NAMES = /\b(indigo|purple|violet|blueviolet|darkviolet|mediumpurple|rebeccapurple)\b/i;
+
+// ============================================================
+// RULES
+// ============================================================
+
+/**
+ * "#abc" / "#AABBCC" / "#AABBCCFF" → "#AABBCC"; "#AABBCC80" keeps its alpha.
+ * Returns null for anything that isn't a hex color.
+ */
+function normalizeHex(value) {
+  const match = String(value).trim().match(/^#([0-9a-fA-F]{3,4}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/);
+  if (!match) return null;
+  let h = match[1].toUpperCase();
+  if (h.length <= 4) h = [...h].map(c => c + c).join('');
+  if (h.length === 8 && h.endsWith('FF')) h = h.slice(0, 6);
+  return `#${h}`;
+}
+
+function pxNumber(value) {
+  const match = String(value).match(/^(-?\d*\.?\d+)(px)?$/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Read a rules file into the lookups the checks use:
+ *   { antiPatterns: Map(id → entry), tokenNames: Set | null, allowed: [RegExp],
+ *     palette: Map(hex → [token names]), colors: { name → { theme → value } },
+ *     spaceScale: Map(px → name), radiusScale: Map(px → name), fonts: [...],
+ *     deprecated: Map(name → { replacement, since, message }) }
+ * tokenNames and the palette need the "tokens" section; without it those
+ * checks are skipped. allowed holds the no-unknown-tokens entry's "allow"
+ * patterns: custom properties set at runtime, which aren't tokens.
+ */
+function loadRules(file) {
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`could not read rules file ${file}: ${err.message}`);
+  }
+
+  const scale = (entries) => {
+    const byPx = new Map();
+    for (const [name, value] of Object.entries(entries || {})) {
+      const px = pxNumber(value);
+      if (px !== null && !byPx.has(px)) byPx.set(px, name);
+    }
+    return byPx;
+  };
+
+  const colors = (doc.tokens && doc.tokens.colors) || {};
+  const palette = new Map();
+  for (const [name, themes] of Object.entries(colors)) {
+    for (const value of Object.values(themes)) {
+      const hex = normalizeHex(value);
+      if (!hex) continue;
+      if (!palette.has(hex)) palette.set(hex, []);
+      if (!palette.get(hex).includes(name)) palette.get(hex).push(name);
+    }
+  }
+
+  const antiPatterns = new Map((doc.antiPatterns || []).map(entry => [entry.id, entry]));
+  const fontRule = antiPatterns.get(CHECKS.font);
+  const tokenRule = antiPatterns.get(CHECKS.token);
+
+  return {
+    file,
+    antiPatterns,
+    tokenNames: doc.tokens ? new Set(doc.tokens.names) : null,
+    allowed: ((tokenRule && tokenRule.allow) || []).map(name => globToRegExp(name.replace(/^--/, ''))),
+    palette: doc.tokens ? palette : null,
+    colors,
+    spaceScale: scale(doc.spacing && doc.spacing.spaceScale),
+    radiusScale: scale(doc.radii && doc.radii.scale),
+    fonts: (fontRule && fontRule.fonts) || [],
+    deprecated: new Map(Object.entries(doc.deprecatedTokens || {}))
+  };
+}
+
+// ============================================================
+// CHECKS
+// ============================================================
+
+/**
+ * Indigo, purple and violet: OKLCH hue 270–330° with visible chroma.
+ * Blues (around 260°) are left alone.
+ */
+function isPurple(color) {
+  if (PURPLE_NAMES.test(color)) return true;
+  const lab = toOklab(color);
+  if (!lab) return false;
+  const chroma = Math.hypot(lab[1], lab[2]);
+  let hue = Math.atan2(lab[2], lab[1]) * (180 / Math.PI);
+  if (hue < 0) hue += 360;
+  return chroma >= 0.1 && hue >= 270 && hue <= 330;
+}
+
+// url() contents (data: URIs, paths) are not values to check; blank them, keeping offsets
+function blankUrls(value) {
+  return value.replace(/url\([^)]*\)/gi, m => ' '.repeat(m.length));
+}
+
+// Quoted strings (content: "#abc", font names) are text, not colors or lengths
+function blankStrings(value) {
+  return value.replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, m => ' '.repeat(m.length));
+}
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check one declaration. Every var() naming neither a token, a custom
+ * property the file defines itself (localNames) nor an allowed runtime
+ * property is reported, fallback or not. Returns [{ id, severity, message,
+ * offset, length, check, literal }] with offsets into value.
+ */
+function checkDeclaration(prop, value, rules, localNames = new Set()) {
+  const findings = [];
+  const report = (check, offset, literal, message) => {
+    const entry = rules.antiPatterns.get(CHECKS[check]);
+    if (entry) findings.push({ id: entry.id, severity: entry.severity, message, offset, length: literal.length, check, literal });
+  };
+  prop = prop.toLowerCase();
+  const text = blankUrls(value);
+  const scan = blankStrings(text);
+  const allowed = rules.allowed || [];
+
+  if (rules.tokenNames) {
+    for (const m of scan.matchAll(VAR_REFERENCE)) {
+      if (!rules.tokenNames.has(m[1]) && !localNames.has(m[1]) && !allowed.some(re => re.test(m[1]))) {
+        report('token', m.index + m[0].indexOf('--'), `--${m[1]}`, `--${m[1]} is not a token in this system`);
+      }
+    }
+  }
+
+  if (rules.deprecated && rules.deprecated.size > 0) {
+    for (const m of scan.matchAll(VAR_REFERENCE)) {
+      const info = rules.deprecated.get(m[1]);
+      if (!info || localNames.has(m[1])) continue;
+      const since = info.since ? ` since ${info.since}` : '';
+      const instead = info.replacement ? `; use --${info.replacement} instead` : '';
+      report('deprecated', m.index + m[0].indexOf('--'), `--${m[1]}`, `--${m[1]} is deprecated${since}${instead}`);
+    }
+  }
+
+  if (rules.palette) {
+    for (const m of scan.matchAll(HEX_LITERAL)) {
+      const hex = normalizeHex(m[0]);
+      if (hex && !rules.palette.has(hex)) report('color', m.index, m[0], `${m[0]} is not a palette color`);
+    }
+  }
+
+  const gradient = scan.search(/gradient\(/i);
+  if (gradient !== -1) {
+    const colorsUsed = [...scan.slice(gradient).matchAll(HEX_LITERAL)].map(m => m[0]);
+    const named = scan.slice(gradient).match(PURPLE_NAMES);
+    if (named) colorsUsed.push(named[0]);
+    const purple = colorsUsed.find(isPurple);
+    if (purple) {
+      const start = scan.lastIndexOf(' ', gradient) + 1;
+      report('gradient', start, scan.slice(start, scan.indexOf('(', gradient) + 1), `gradient uses ${purple}, an indigo/purple that isn't part of this system`);
+    }
+  }
+
+  const scaleCheck = (check, byPx, what) => {
+    if (byPx.size === 0) return;
+    for (const m of scan.matchAll(PX_LITERAL)) {
+      if (!byPx.has(Math.abs(Number(m[1])))) report(check, m.index, m[0], `${m[0]} is not on the ${what} scale`);
+    }
+  };
+  if (SPACING_PROPERTY.test(prop)) scaleCheck('spacing', rules.spaceScale, 'space-*');
+  if (RADIUS_PROPERTY.test(prop)) scaleCheck('radius', rules.radiusScale, 'radius-*');
+
+  if (FONT_PROPERTY.test(prop)) {
+    for (const font of rules.fonts) {
+      const m = text.match(new RegExp(`(^|[\\s,'"])(${escapeRegExp(font)})(?=$|[\\s,'"])`, 'i'));
+      if (m) report('font', m.index + m[1].length, m[2], `${font} is a generic font, not part of this system`);
+    }
+  }
+
+  return findings;
+}
+
+// ============================================================
+// SCANNERS
+// ============================================================
+// Each returns [{ prop, value, offset }], offset being where the value starts
+// in the scanned text.
+
+/**
+ * Declarations in a stylesheet or a style attribute. Comments are blanked
+ * rather than removed so offsets stay true.
+ */
+function cssDeclarations(text, base = 0) {
+  const code = text.replace(/\/\*[\s\S]*?\*\//g, m => m.replace(/[^\n]/g, ' '));
+  const decls = [];
+  for (const m of code.matchAll(/(^|[{;\s])(--[\w-]+|-?[a-zA-Z][\w-]*)\s*:\s*([^;{}]*?)\s*(?=[;}]|$)/g)) {
+    decls.push({ prop: m[2], value: m[3], offset: base + m.index + m[0].length - m[3].length });
+  }
+  return decls;
+}
+
+function htmlDeclarations(text) {
+  const decls = [];
+  for (const m of text.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style>/gi)) {
+    decls.push(...cssDeclarations(m[1], m.index + m[0].indexOf('>') + 1));
+  }
+  for (const m of text.matchAll(/\sstyle\s*=\s*("([^"]*)"|'([^']*)')/gi)) {
+    const attr = m[2] !== undefined ? m[2] : m[3];
+    decls.push(...cssDeclarations(attr, m.index + m[0].length - attr.length - 1));
+  }
+  return decls;
+}
+
+/**
+ * Literal entries of style={{ ... }} objects. camelCase keys become CSS
+ * properties; bare numbers get "px", as React does for lengths, and keep
+ * their source text in `number`.
+ */
+function jsxDeclarations(text) {
+  const decls = [];
+  for (const start of text.matchAll(/\bstyle\s*=\s*\{\{/g)) {
+    const open = start.index + start[0].length;
+    let depth = 2;
+    let end = open;
+    while (end < text.length && depth > 0) {
+      if (text[end] === '{') depth++;
+      else if (text[end] === '}') depth--;
+      end++;
+    }
+    const body = text.slice(open, end - 2);
+    const entry = /(^|[{,\s])(['"]?)([\w$-]+)\2\s*:\s*('(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"|`[^`$]*`|-?(?:\d+\.?\d*|\.\d+)(?![\w.]))/g;
+    for (const m of body.matchAll(entry)) {
+      const key = m[3];
+      const prop = key.startsWith('--') ? key : key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+      const literal = m[4];
+      const quoted = /^['"`]/.test(literal);
+      const value = quoted ? literal.slice(1, -1) : `${literal}px`;
+      const offset = open + m.index + m[0].length - literal.length + (quoted ? 1 : 0);
+      decls.push(quoted ? { prop, value, offset } : { prop, value, offset, number: literal });
+    }
+  }
+  return decls;
+}
+
+const SCANNERS = { css: cssDeclarations, html: htmlDeclarations, jsx: jsxDeclarations };
+
+// ============================================================
+// LINTING
+// ============================================================
+
+/**
+ * offset → { line, column } (1-based) for text.
+ */
+function positions(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) if (text[i] === '\n') lineStarts.push(i + 1);
+  return (offset) => {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > offset) line--;
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+  };
+}
+
+/**
+ * Findings for one file's text. type is css, html or jsx. Each finding has
+ * { id, severity, message, line, column, offset, length, check, literal },
+ * offset/length locating the literal in text.
+ */
+function lintText(text, type, rules) {
+  const decls = SCANNERS[type](text);
+  const localNames = new Set(decls.filter(d => d.prop.startsWith('--')).map(d => d.prop.slice(2)));
+  const position = positions(text);
+
+  const findings = [];
+  for (const { prop, value, offset } of decls) {
+    for (const finding of checkDeclaration(prop, value, rules, localNames)) {
+      const at = offset + finding.offset;
+      findings.push({ ...finding, prop, offset: at, ...position(at) });
+    }
+  }
+  return findings.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Files to lint under the given paths, in a stable order.
+ */
+function collectFiles(paths) {
+  const files = [];
+  const walk = (target) => {
+    const stat = fs.statSync(target);
+    if (stat.isDirectory()) {
+      for (const entry of fs.readdirSync(target).sort()) {
+        if (entry === 'node_modules' || entry.startsWith('.')) continue;
+        walk(path.join(target, entry));
+      }
+    } else if (FILE_TYPES[path.extname(target).toLowerCase()]) {
+      files.push(target);
+    }
+  };
+  for (const target of paths) {
+    if (!fs.existsSync(target)) throw new Error(`${target} not found`);
+    walk(target);
+  }
+  return files;
+}
+
+function lintFile(file, rules) {
+  const type = FILE_TYPES[path.extname(file).toLowerCase()];
+  return lintText(fs.readFileSync(file, 'utf8'), type, rules).map(finding => ({ file, ...finding }));
+}
+
+// ============================================================
+// AUTOFIX (--fix flag)
+// ============================================================
+// Rewrites literal colors (in any property) and px lengths (in spacing and
+// radius properties) to var() references. Colors match by exact value first,
+// then by ΔE in OKLab (deltaE() in compiler.js, same alpha only); among the
+// tokens that match, pickColorToken() decides, so a value one theme happens
+// to share isn't rewritten to a token that looks different in the other.
+// Lengths are rewritten only when they are exactly on the scale. Everything
+// else is left in place and returned for review with its candidates, so the
+// codemod never guesses.
+
+const MAX_FIX_DELTA_E = 2;        // further away than this is a visibly different color
+const AMBIGUOUS_DELTA_E = 1;      // a runner-up within one JND of the nearest is a tie
+
+function hexAlpha(hex) {
+  return hex.length === 9 ? hex.slice(7) : 'FF';
+}
+
+// Role of a color token: color-accent-teal → accent
+function colorRole(name) {
+  return name.split('-')[1];
+}
+
+// Theme → hex of a color token's values
+function colorModes(name, rules) {
+  return Object.entries(rules.colors[name]).map(([theme, value]) => [theme, normalizeHex(value)]);
+}
+
+// Whether a token has the same value in every theme (shared tokens always do)
+function isModeless(name, rules) {
+  const values = colorModes(name, rules).map(([, value]) => value);
+  return values.every(value => value === values[0]);
+}
+
+/**
+ * The one token to rewrite to among those matching a color, or null for
+ * review. An accent token wins: a literal accent color is the accent, and its
+ * other themes hold that accent's counterpart (#79DDE8 → color-accent-teal,
+ * not color-modeless-teal). Otherwise only a token with the same value in
+ * every theme is taken; #0A0D0E is the dark color-background-primary, but
+ * that token is #F5F5F5 under .light.
+ */
+function pickColorToken(names, rules) {
+  const accents = names.filter(name => colorRole(name) === 'accent');
+  if (accents.length > 0) return accents.length === 1 ? accents[0] : null;
+  const modeless = names.filter(name => isModeless(name, rules));
+  return modeless.length === 1 ? modeless[0] : null;
+}
+
+// "light is #1A7580" for the themes of a token whose value isn't hex there
+function otherModes(name, hex, rules) {
+  return colorModes(name, rules)
+    .filter(([, value]) => value !== hex)
+    .map(([theme, value]) => `${theme} is ${value}`)
+    .join(', ');
+}
+
+/**
+ * Token for a literal hex color: { token, note } or { reason, candidates }.
+ */
+function colorMatch(literal, rules) {
+  const hex = normalizeHex(literal);
+  const exact = (rules.palette.get(hex) || []).filter(name => !rules.deprecated.has(name));
+  if (exact.length > 0) {
+    const token = pickColorToken(exact, rules);
+    const label = (name) => isModeless(name, rules) ? name : `${name} (${otherModes(name, hex, rules)})`;
+    if (token) return { token, note: otherModes(token, hex, rules) || null };
+    const reason = exact.length === 1 ? 'matches one theme of a themed token' : `${exact.length} tokens have this value`;
+    return { reason, candidates: exact.map(label) };
+  }
+
+  const scored = [];
+  for (const name of Object.keys(rules.colors)) {
+    if (rules.deprecated.has(name)) continue;
+    const nearest = colorModes(name, rules)
+      .filter(([, value]) => value && hexAlpha(value) === hexAlpha(hex))
+      .map(([, value]) => ({ value, deltaE: deltaE(hex, value) }))
+      .sort((a, b) => a.deltaE - b.deltaE)[0];
+    if (nearest) scored.push({ name, ...nearest });
+  }
+  scored.sort((a, b) => a.deltaE - b.deltaE);
+  const label = (s) => `${s.name} (ΔE ${s.deltaE.toFixed(1)})`;
+
+  if (scored.length === 0) return { reason: 'no color token has this alpha', candidates: [] };
+  if (scored[0].deltaE > MAX_FIX_DELTA_E) {
+    return { reason: `no token within ΔE ${MAX_FIX_DELTA_E}`, candidates: scored.slice(0, 3).map(label) };
+  }
+  const close = scored.filter(s => s.deltaE - scored[0].deltaE < AMBIGUOUS_DELTA_E);
+  const token = pickColorToken(close.map(s => s.name), rules);
+  if (!token) {
+    const reason = close.length > 1 ? `${close.length} tokens are about as close` : 'near one theme of a themed token';
+    return { reason, candidates: close.map(label) };
+  }
+  const match = close.find(s => s.name === token);
+  const others = otherModes(token, match.value, rules);
+  return { token, note: `ΔE ${match.deltaE.toFixed(1)}${others ? `; ${others}` : ''}` };
+}
+
+/**
+ * Token for a px length on a scale (Map px → name): { token } when the length
+ * is a step, else { reason, candidates } with the steps either side.
+ */
+function lengthMatch(px, byPx) {
+  const size = Math.abs(px);
+  if (byPx.has(size)) return { token: byPx.get(size) };
+
+  const steps = [...byPx.keys()].sort((a, b) => a - b);
+  const near = [steps.filter(step => step < size).pop(), steps.find(step => step > size)]
+    .filter(step => step !== undefined);
+  return { reason: 'not on the scale', candidates: near.map(step => `${byPx.get(step)} (${step}px)`) };
+}
+
+/**
+ * Rewrite one file's text. Returns { text, fixes, review }; fixes and review
+ * entries carry { line, column, literal, prop } of the original text, plus
+ * { replacement, note } or { reason, candidates }.
+ */
+function fixText(text, type, rules) {
+  const position = positions(text);
+  const edits = [];
+  const fixes = [];
+  const review = [];
+
+  for (const decl of SCANNERS[type](text)) {
+    const prop = decl.prop.toLowerCase();
+    const scan = blankStrings(blankUrls(decl.value));
+    const targets = [];
+    if (rules.palette) {
+      for (const m of scan.matchAll(HEX_LITERAL)) {
+        if (normalizeHex(m[0])) targets.push({ offset: m.index, literal: m[0], match: () => colorMatch(m[0], rules) });
+      }
+    }
+    const byPx = SPACING_PROPERTY.test(prop) ? rules.spaceScale : RADIUS_PROPERTY.test(prop) ? rules.radiusScale : null;
+    if (byPx && byPx.size > 0) {
+      for (const m of scan.matchAll(PX_LITERAL)) {
+        targets.push({ offset: m.index, literal: m[0], negative: m[0].startsWith('-'), match: () => lengthMatch(Number(m[1]), byPx) });
+      }
+    }
+
+    for (const target of targets) {
+      const match = target.match();
+      // A bare JSX number is replaced as a whole, by a string
+      const start = decl.number !== undefined ? decl.offset : decl.offset + target.offset;
+      const end = decl.number !== undefined ? start + decl.number.length : start + target.literal.length;
+      const entry = { ...position(start), literal: decl.number !== undefined ? decl.number : target.literal, prop };
+      if (!match.token) {
+        review.push({ ...entry, reason: match.reason, candidates: match.candidates });
+        continue;
+      }
+      let replacement = `var(--${match.token})`;
+      if (target.negative) replacement = `calc(${replacement} * -1)`;
+      if (decl.number !== undefined) replacement = `'${replacement}'`;
+      edits.push({ start, end, replacement });
+      fixes.push({ ...entry, replacement, note: match.note || null });
+    }
+  }
+
+  let fixed = text;
+  for (const { start, end, replacement } of edits.sort((a, b) => b.start - a.start)) {
+    fixed = fixed.slice(0, start) + replacement + fixed.slice(end);
+  }
+  return { text: fixed, fixes, review };
+}
+
+function fixFile(file, rules) {
+  const type = FILE_TYPES[path.extname(file).toLowerCase()];
+  const text = fs.readFileSync(file, 'utf8');
+  const result = fixText(text, type, rules);
+  if (result.text !== text) fs.writeFileSync(file, result.text, 'utf8');
+  const withFile = (entry) => ({ file, ...entry });
+  return { fixes: result.fixes.map(withFile), review: result.review.map(withFile) };
+}
+
+function renderReview(review) {
+  const lines = [
+    '# Design token autofix — needs review',
+    '',
+    'These literals were left in place because no single token clearly matches.',
+    '',
+    '| Location | Property | Value | Why | Candidates |',
+    '|----------|----------|-------|-----|------------|'
+  ];
+  for (const r of review) {
+    const where = `${path.relative(process.cwd(), r.file)}:${r.line}:${r.column}`;
+    const candidates = r.candidates.map(c => `\`${c}\``).join(', ') || '—';
+    lines.push(`| ${where} | \`${r.prop}\` | \`${r.literal}\` | ${r.reason} | ${candidates} |`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const valueFlags = ['--rules', '--config', '--report'];
+  const argValue = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const paths = args.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(args[i - 1]));
+
+  if (paths.length === 0) {
+    console.error('Usage: node scripts/lint-design-rules.js <file|dir>... [--rules <file>] [--config <file>] [--json]\n' +
+      '                                          [--fix] [--report <file>]');
+    process.exit(1);
+  }
+
+  let rules;
+  let files;
+  try {
+    const rulesFile = argValue('--rules') || resolveConfig({ config: argValue('--config') }).rules.out;
+    rules = loadRules(rulesFile);
+    files = collectFiles(paths);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const json = args.includes('--json');
+  const relative = (entry) => ({ ...entry, file: path.relative(process.cwd(), entry.file) });
+  let fixed = null;
+  if (args.includes('--fix')) {
+    const results = files.map(file => fixFile(file, rules));
+    fixed = { fixes: results.flatMap(r => r.fixes), review: results.flatMap(r => r.review) };
+    if (argValue('--report')) {
+      fs.writeFileSync(argValue('--report'), renderReview(fixed.review) + '\n', 'utf8');
+    }
+    if (!json) {
+      for (const f of fixed.fixes) {
+        const where = `${path.relative(process.cwd(), f.file)}:${f.line}:${f.column}`;
+        console.log(`${where}: fixed ${f.literal} → ${f.replacement}${f.note ? ` (${f.note})` : ''}`);
+      }
+      for (const r of fixed.review) {
+        const where = `${path.relative(process.cwd(), r.file)}:${r.line}:${r.column}`;
+        const candidates = r.candidates.length > 0 ? `: ${r.candidates.join(', ')}` : '';
+        console.log(`${where}: review ${r.literal} — ${r.reason}${candidates}`);
+      }
+      console.log(`\nFixed ${fixed.fixes.length} value(s); ${fixed.review.length} left for review` +
+        `${argValue('--report') ? ` (${argValue('--report')})` : ''}\n`);
+    }
+  }
+
+  const findings = files.flatMap(file => lintFile(file, rules));
+  const errors = findings.filter(f => f.severity === 'error').length;
+  const warnings = findings.length - errors;
+
+  if (json) {
+    const report = findings.map(({ file, line, column, id, severity, message }) =>
+      ({ file: path.relative(process.cwd(), file), line, column, id, severity, message }));
+    const output = { files: files.length, errors, warnings, findings: report };
+    if (fixed) Object.assign(output, { fixed: fixed.fixes.map(relative), review: fixed.review.map(relative) });
+    console.log(JSON.stringify(output, null, 2));
+  } else if (findings.length === 0) {
+    console.log(`No design rule violations in ${files.length} file(s).`);
+  } else {
+    for (const f of findings) {
+      console.log(`${path.relative(process.cwd(), f.file)}:${f.line}:${f.column}: ${f.severity}: ${f.message} [${f.id}]`);
+    }
+    console.log(`\n${errors} error(s), ${warnings} warning(s) in ${files.length} file(s)`);
+  }
+
+  if (errors > 0) process.exit(1);
+}
+
+if (require.main === module) main();
+
+module.exports = { CHECKS, loadRules, checkDeclaration, lintText, lintFile, fixText, collectFiles, normalizeHex };
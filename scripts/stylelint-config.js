@@ -0,0 +1,39 @@
+/**
+ * Airtime Design System — stylelint Config
+ * Shareable config that loads stylelint-plugin.js and turns on each airtime/*
+ * rule whose antiPatterns entry is in .design-rules.json, at that entry's
+ * severity (error or warning). The rules file is the one generate-rules.js
+ * writes: generated/.design-rules.json, or "rules.out" in the
+ * airtime.config.json of the directory stylelint runs in.
+ *
+ *   // stylelint.config.js
+ *   module.exports = { extends: ['./design-system/scripts/stylelint-config.js'] };
+ *
+ * Regenerate the rules file (generate-rules.js) to pick up new severities.
+ * Without one, the config warns and enables no rules.
+ */
+
+const { resolveConfig } = require('./compiler');
+const { loadRules } = require('./lint-design-rules');
+const plugins = require('./stylelint-plugin');
+
+const rulesFile = resolveConfig().rules.out;
+
+// Without a readable rules file, enable nothing rather than fail stylelint's config loading
+let antiPatterns = new Map();
+try {
+  ({ antiPatterns } = loadRules(rulesFile));
+} catch (err) {
+  console.warn(`  Warning: airtime stylelint rules disabled — ${err.message}`);
+}
+
+const rules = {};
+for (const { ruleName, rule } of plugins) {
+  const entry = antiPatterns.get(rule.antiPattern);
+  if (entry) rules[ruleName] = [true, { rules: rulesFile, severity: entry.severity }];
+}
+
+module.exports = {
+  plugins: [require.resolve('./stylelint-plugin')],
+  rules
+};
@@ -0,0 +1,95 @@
+/**
+ * Airtime Design System — stylelint Plugin
+ * The design-rules checks of lint-design-rules.js as stylelint rules, read
+ * from the .design-rules.json that generate-rules.js writes:
+ *
+ *   airtime/no-unknown-token    var(--name) for a token tokens.css doesn't define
+ *   airtime/use-spacing-token   padding / margin / gap px values off the space-* scale
+ *   airtime/no-invented-color   hex colors that no color token has
+ *   airtime/radius-scale        border-radius px values off the radius-* scale
+ *   airtime/no-deprecated-token var(--name) for a deprecated token, naming its replacement
+ *
+ * Each rule reports under one antiPatterns entry (no-unknown-tokens,
+ * use-defined-spacing, no-color-invention, no-excessive-rounding,
+ * no-deprecated-tokens) and does nothing when the rules file has no such
+ * entry. stylelint-config.js enables each with its entry's severity.
+ *
+ * Options: true, or [true, { rules: "<path to .design-rules.json>" }]. The
+ * default rules file is the one generate-rules.js writes (see resolveConfig).
+ * Requires stylelint 16 or later.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const stylelint = require('stylelint');
+const { resolveConfig } = require('./compiler');
+const { CHECKS, loadRules, checkDeclaration } = require('./lint-design-rules');
+
+// Rule name → the lint-design-rules.js check it runs
+const RULES = {
+  'airtime/no-unknown-token': 'token',
+  'airtime/use-spacing-token': 'spacing',
+  'airtime/no-invented-color': 'color',
+  'airtime/radius-scale': 'radius',
+  'airtime/no-deprecated-token': 'deprecated'
+};
+
+// Loaded rules files, reread when they change on disk
+const loaded = new Map();
+
+function rulesFor(file) {
+  const resolved = path.resolve(file || resolveConfig().rules.out);
+  const mtime = fs.statSync(resolved).mtimeMs;
+  const cached = loaded.get(resolved);
+  if (cached && cached.mtime === mtime) return cached.rules;
+  const rules = loadRules(resolved);
+  loaded.set(resolved, { mtime, rules });
+  return rules;
+}
+
+function createRule(ruleName, check) {
+  const messages = stylelint.utils.ruleMessages(ruleName, {
+    rejected: (message) => message
+  });
+
+  const rule = (primary, secondary = {}) => (root, result) => {
+    const valid = stylelint.utils.validateOptions(result, ruleName,
+      { actual: primary, possible: [true] },
+      { actual: secondary, possible: { rules: [s => typeof s === 'string'] }, optional: true });
+    if (!valid) return;
+
+    let rules;
+    try {
+      rules = rulesFor(secondary && secondary.rules);
+    } catch (err) {
+      result.warn(`${ruleName}: ${err.message}`, { stylelintType: 'invalidOption' });
+      return;
+    }
+
+    // Custom properties the stylesheet defines itself are not unknown tokens
+    const localNames = new Set();
+    root.walkDecls(/^--/, decl => localNames.add(decl.prop.slice(2)));
+
+    root.walkDecls(decl => {
+      const valueIndex = decl.prop.length + (decl.raws.between || ':').length;
+      for (const finding of checkDeclaration(decl.prop, decl.value, rules, localNames)) {
+        if (finding.check !== check) continue;
+        stylelint.utils.report({
+          ruleName,
+          result,
+          node: decl,
+          message: messages.rejected(finding.message),
+          index: valueIndex + finding.offset,
+          endIndex: valueIndex + finding.offset + finding.length
+        });
+      }
+    });
+  };
+
+  rule.ruleName = ruleName;
+  rule.messages = messages;
+  rule.antiPattern = CHECKS[check];
+  return stylelint.createPlugin(ruleName, rule);
+}
+
+module.exports = Object.entries(RULES).map(([ruleName, check]) => createRule(ruleName, check));
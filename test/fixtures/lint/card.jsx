@@ -0,0 +1,7 @@
+export function Card() {
+  return (
+    <div style={{ padding: 15, marginTop: -6, gap: 8, color: '#123456', background: "url(#ff00ff)", borderRadius: 4 }}>
+      <span style={{ fontFamily: 'Arial', content: '"#abcdef"' }} />
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * Airtime Design System — Design Rules Linter Tests
+ * Runs scripts/lint-design-rules.js against the hand-written rules in
+ * fixtures/design-rules.json and the files in fixtures/lint/, and --fix
+ * (fixText) against the same rules.
+ *
+ * Usage: node --test test/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadRules, checkDeclaration, lintFile, fixText } = require('../scripts/lint-design-rules');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const rules = loadRules(path.join(FIXTURES, 'design-rules.json'));
+
+function lintFixture(name) {
+  const file = path.join(FIXTURES, 'lint', name);
+  return { text: fs.readFileSync(file, 'utf8'), findings: lintFile(file, rules) };
+}
+
+const summary = (findings) => findings.map(f => [f.id, f.literal, f.line, f.column]);
+
+// ============================================================
+// CSS
+// ============================================================
+
+test('css: reports each literal at its line and column', () => {
+  const { findings } = lintFixture('card.css');
+  assert.deepEqual(summary(findings), [
+    ['use-defined-spacing', '15px', 3, 16],
+    ['use-defined-spacing', '-6px', 4, 16],
+    ['no-excessive-rounding', '7px', 5, 22],
+    ['no-color-invention', '#123456', 6, 10],
+    ['no-generic-fonts', 'Arial', 10, 17],
+    ['no-unknown-tokens', '--space-99', 12, 15],
+    ['no-unknown-tokens', '--brand-offset', 13, 14]
+  ]);
+});
+
+test('css: offset and length locate the literal in the file', () => {
+  const { text, findings } = lintFixture('card.css');
+  for (const f of findings) assert.equal(text.slice(f.offset, f.offset + f.length), f.literal);
+});
+
+test('css: negative lengths are checked by their magnitude', () => {
+  const findings = checkDeclaration('margin', '-4px -6px', rules);
+  assert.deepEqual(findings.map(f => [f.literal, f.offset]), [['-6px', 5]]);
+});
+
+test('css: colors inside url() and quoted strings are not reported', () => {
+  assert.deepEqual(checkDeclaration('mask', `url("data:image/svg+xml,<svg fill='#ff00ff'/>")`, rules), []);
+  assert.deepEqual(checkDeclaration('content', '"#abcdef"', rules), []);
+});
+
+test('css: quoted generic fonts are still reported', () => {
+  const findings = checkDeclaration('font-family', '"Arial", sans-serif', rules);
+  assert.deepEqual(findings.map(f => [f.id, f.offset]), [['no-generic-fonts', 1]]);
+});
+
+test('css: unknown var() is reported with or without a fallback', () => {
+  assert.deepEqual(checkDeclaration('height', 'var(--space-99, 4px)', rules).map(f => f.literal), ['--space-99']);
+  assert.deepEqual(checkDeclaration('inset', 'var(--brand-offset)', rules).map(f => f.literal), ['--brand-offset']);
+});
+
+test('css: local and allowed custom properties are not unknown', () => {
+  assert.deepEqual(checkDeclaration('gap', 'var(--card-gap)', rules, new Set(['card-gap'])), []);
+  assert.deepEqual(checkDeclaration('width', 'var(--slider-value, 25%)', rules), []);
+});
+
+test('css: deprecated tokens are reported with their replacement', () => {
+  const findings = checkDeclaration('padding', 'var(--space-05) var(--space-10)', rules);
+  assert.deepEqual(findings.map(f => [f.id, f.severity, f.literal, f.offset, f.message]), [
+    ['no-deprecated-tokens', 'warning', '--space-05', 4, '--space-05 is deprecated since 2026-03; use --space-10 instead']
+  ]);
+});
+
+// ============================================================
+// HTML
+// ============================================================
+
+test('html: checks <style> blocks and style attributes in place', () => {
+  const { text, findings } = lintFixture('page.html');
+  assert.deepEqual(summary(findings), [
+    ['use-defined-spacing', '15px', 5, 20],
+    ['no-color-invention', '#abc123', 9, 35],
+    ['no-generic-fonts', 'Arial', 10, 26],
+    ['no-excessive-rounding', '7px', 10, 48]
+  ]);
+  for (const f of findings) assert.equal(text.slice(f.offset, f.offset + f.length), f.literal);
+});
+
+// ============================================================
+// JSX
+// ============================================================
+
+test('jsx: bare numbers are lengths, located at the number', () => {
+  const { text, findings } = lintFixture('card.jsx');
+  assert.deepEqual(summary(findings), [
+    ['use-defined-spacing', '15px', 3, 28],
+    ['use-defined-spacing', '-6px', 3, 43],
+    ['no-color-invention', '#123456', 3, 63],
+    ['no-generic-fonts', 'Arial', 4, 35]
+  ]);
+  assert.equal(text.slice(findings[0].offset, findings[0].offset + 2), '15');
+  assert.equal(text.slice(findings[1].offset, findings[1].offset + 2), '-6');
+});
+
+test('jsx: url() and nested quoted strings are not reported', () => {
+  const { findings } = lintFixture('card.jsx');
+  assert.ok(!findings.some(f => /ff00ff|abcdef/i.test(f.literal)));
+});
+
+// ============================================================
+// AUTOFIX (--fix)
+// ============================================================
+
+const fixes = (result) => result.fixes.map(f => [f.literal, f.line, f.column, f.replacement, f.note]);
+const review = (result) => result.review.map(r => [r.literal, r.line, r.column, r.reason, r.candidates]);
+
+test('fix: exact matches are rewritten', () => {
+  const result = fixText('.a {\n  color: #79DDE8;\n  background: #FFFFFF;\n  padding: 8px;\n  margin: -4px;\n}\n', 'css', rules);
+  assert.equal(result.text,
+    '.a {\n  color: var(--color-accent-teal);\n  background: var(--color-modeless-white);\n' +
+    '  padding: var(--space-20);\n  margin: calc(var(--space-10) * -1);\n}\n');
+  assert.deepEqual(fixes(result), [
+    ['#79DDE8', 2, 10, 'var(--color-accent-teal)', 'light is #2A9BA8'],
+    ['#FFFFFF', 3, 15, 'var(--color-modeless-white)', null],
+    ['8px', 4, 12, 'var(--space-20)', null],
+    ['-4px', 5, 11, 'calc(var(--space-10) * -1)', null]
+  ]);
+  assert.deepEqual(result.review, []);
+});
+
+test('fix: a color within ΔE 2 of one token is rewritten with a note', () => {
+  const result = fixText('.a { border-color: #7ADDE8; }', 'css', rules);
+  assert.equal(result.text, '.a { border-color: var(--color-accent-teal); }');
+  assert.deepEqual(fixes(result), [['#7ADDE8', 1, 20, 'var(--color-accent-teal)', 'ΔE 0.1; light is #2A9BA8']]);
+});
+
+test('fix: ambiguous and distant values are left for review', () => {
+  const css = '.a {\n  outline-color: #000000;\n  fill: #7F7F7F;\n  color: #123456;\n  padding: 15px;\n}\n';
+  const result = fixText(css, 'css', rules);
+  assert.equal(result.text, css);
+  assert.deepEqual(result.fixes, []);
+  assert.deepEqual(review(result), [
+    ['#000000', 2, 18, 'matches one theme of a themed token', ['color-background-primary (light is #FFFFFF)']],
+    ['#7F7F7F', 3, 9, '2 tokens are about as close', ['color-modeless-grey (ΔE 0.3)', 'color-modeless-grey-strong (ΔE 0.3)']],
+    ['#123456', 4, 10, 'no token within ΔE 2',
+      ['color-modeless-grey-strong (ΔE 28.3)', 'color-modeless-grey (ΔE 29.0)', 'color-accent-teal (ΔE 32.3)']],
+    ['15px', 5, 12, 'not on the scale', ['space-20 (8px)', 'space-40 (16px)']]
+  ]);
+});
+
+test('fix: bare JSX numbers become token strings', () => {
+  const result = fixText("<div style={{ padding: 16, margin: 15 }} />\n", 'jsx', rules);
+  assert.equal(result.text, "<div style={{ padding: 'var(--space-40)', margin: 15 }} />\n");
+  assert.deepEqual(fixes(result), [['16', 1, 24, "'var(--space-40)'", null]]);
+  assert.deepEqual(review(result), [['15', 1, 36, 'not on the scale', ['space-20 (8px)', 'space-40 (16px)']]]);
+});
+
+test('fix: strings and url() are left alone', () => {
+  const css = '.a { content: "#79DDE8"; background: url(#79DDE8); }';
+  assert.deepEqual(fixText(css, 'css', rules), { text: css, fixes: [], review: [] });
+});